@@ -1,10 +1,13 @@
 #!/usr/bin/env node
 'use strict';
 
+var http    = require('http');
+var parse   = require('url').parse;
 var program = require('commander');
 
 var arkivo  = require('..');
 var plugins = arkivo.plugins;
+var config  = arkivo.config.http;
 
 program
   .version(arkivo.version);
@@ -17,7 +20,7 @@ program
     console.log('%d plugin(s) available.', plugins.count);
 
     plugins.each(function (p) {
-      console.log('  %s: %s', p.name, p.summary);
+      console.log('  %s: %s', label(p), p.summary);
     });
   });
 
@@ -26,26 +29,86 @@ program
   .description('Prints the plugin\'s parameters')
 
   .action(function params(name) {
-    var plugin = plugins.use(name), p, pn, s;
+    if (!plugins.available[name]) {
+      console.log('Plugin %s not found', name);
+      return;
+    }
+
+    var plugin = plugins.use(name);
 
+    if (!plugin.configurable) {
+      console.log('No parameters available for %s', name);
+      return;
+    }
 
-    if (plugin.configurable) {
-      console.log('Available parameters for %s:', name);
+    console.log('Available parameters for %s (* required):', name);
 
-      for (pn in plugin.parameters) {
-        p = plugin.parameters[pn];
+    plugin.schema.each(function (pn, p, depth, required) {
+      var s = pn;
 
-        s = pn;
+      if (required) s += '*';
+      if (p.type) s += ' <' + [].concat(p.type).join('|') + '>';
 
-        if (p.mandatory) s += '*';
-        if (p.default) s += ' [' + p.default + ']';
+      if (p.hasOwnProperty('default'))
+        s += ' [' + JSON.stringify(p.default) + ']';
 
-        console.log('  %s', [s, p.description].join(': '));
-      }
-    } else {
-      console.log('No parameters available for %s', name);
-    }
+      if (p.enum)
+        s += ' (one of ' + p.enum.map(String).join(', ') + ')';
+
+      console.log('%s  %s', pad(depth), [s, p.description]
+        .filter(Boolean).join(': '));
+    });
+  });
+
+function label(p) {
+  return p.version ? [p.name, p.version].join('@') : p.name;
+}
+
+function pad(depth) {
+  return new Array(depth + 1).join('  ');
+}
+
+program
+  .command('reload')
+  .description('Reloads the plugins of a running Arkivo service')
+
+  .option('-u, --url <url>', 'the Arkivo API URL',
+    'http://localhost:' + config.port + config.api)
+
+  .action(function reload(options) {
+    var req = parse(options.url.replace(/\/$/, '') + '/plugin/reload');
+
+    req.method = 'POST';
+
+    http
+      .request(req, function (res) {
+        var body = '';
+
+        res.setEncoding('utf-8');
+        res.on('data', function (chunk) { body += chunk; });
+
+        res.on('end', function () {
+          if (res.statusCode !== 200) {
+            console.log('Failed to reload plugins: %s', body);
+            process.exit(1);
+          }
+
+          var list = JSON.parse(body);
+
+          console.log('Reloaded %d plugin(s).', list.length);
+
+          list.forEach(function (p) {
+            console.log('  %s', label(p));
+          });
+        });
+      })
+
+      .on('error', function (error) {
+        console.log('Failed to reload plugins: %s', error.message);
+        process.exit(1);
+      })
 
+      .end();
   });
 
 program.parse(process.argv);
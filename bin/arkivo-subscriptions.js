@@ -81,9 +81,19 @@ program
           print('API key', s.key);
 
         print('Plugins', JSON.stringify(s.plugins));
+        print('Options', JSON.stringify(s.options));
+        print('Filter', JSON.stringify(s.filter));
 
         print('Current version', s.version);
         print('Last updated at', s.timestamp);
+
+        Object.keys(s.cursors).forEach(function (id) {
+          var cursor = s.cursors[id];
+
+          print('Failed plugin', [
+            id, 'at version', cursor.version, '(' + cursor.error + ')'
+          ].join(' '));
+        });
       })
 
       .tap(shutdown)
@@ -102,7 +112,9 @@ program
       .find(ids)
 
       .then(confirmable('remove', function (s) {
-        return s.destroy();
+        return s.destroy().tap(function () {
+          return arkivo.plugins.hook('unsubscribed', s);
+        });
       }))
 
       .tap(num('removed'))
@@ -120,7 +132,9 @@ program
       .find(ids)
 
       .then(confirmable('reset', function (s) {
-        return s.reset().save();
+        return s.reset().save().tap(function () {
+          return arkivo.plugins.hook('reset', s);
+        });
       }))
 
       .tap(num('reset'))
@@ -135,6 +149,13 @@ program
   .description('Subscribe to the given Zotero URL')
 
   .option('-K, --key <key>', 'set Zotero API key')
+  .option('-I, --incremental', 'synchronize incrementally')
+  .option('-O, --objects', 'synchronize collections, searches and tags')
+  .option('-F, --fulltext', 'synchronize full-text content')
+  .option('-C, --concurrency <n>',
+    'max. number of plugins to run in parallel', parseInt)
+  .option('-T, --timeout <ms>', 'max. time a plugin may run', parseInt)
+  .option('--filter <json>', 'set item filter rules', JSON.parse)
   .option('-P, --plugins <plugin>[:<options>]',
     'add plugin by name', plugins, [])
 
@@ -142,6 +163,12 @@ program
     var s = new Subscription({ url: url });
 
     if (options.key) s.key = options.key;
+    if (options.incremental) s.options.incremental = true;
+    if (options.objects) s.options.objects = true;
+    if (options.fulltext) s.options.fulltext = true;
+    if (options.concurrency) s.options.concurrency = options.concurrency;
+    if (options.timeout) s.options.timeout = options.timeout;
+    if (options.filter) s.filter = options.filter;
 
     if (options.plugins.length) {
       options.plugins.forEach(function (plugin) {
@@ -153,11 +180,24 @@ program
       });
     }
 
-    s.save()
+    B.try(function () { arkivo.plugins.validate(s.plugins); })
+      .then(function () { return s.save(); })
+
       .tap(function () {
         console.log('Subscription added as "%s".', s.id);
       })
 
+      .tap(function () {
+        return arkivo.plugins
+          .hook('subscribed', s)
+          .then(function (failed) {
+            Object.keys(failed).forEach(function (id) {
+              console.log('Warning: plugin %s failed to set up: %s',
+                id, failed[id].message);
+            });
+          });
+      })
+
       .tap(shutdown)
       .catch(backtrace('Failed to add subscription'));
   });
@@ -0,0 +1,134 @@
+'use strict';
+
+// --- Dependencies ---
+var fs   = require('fs-extra');
+var os   = require('os');
+var join = require('path').join;
+
+var debug = require('debug')('arkivo:cache');
+
+var B = require('bluebird');
+var co = B.coroutine.bind(B);
+
+var common = require('./common');
+
+B.promisifyAll(fs);
+
+/** @module arkivo */
+
+/**
+ * An on-disk cache for files downloaded during a
+ * synchronization session. Files are stored in a
+ * temporary directory which is created on demand
+ * and removed when the cache is cleared.
+ *
+ * @class Cache
+ * @constructor
+ *
+ * @param {String} [id] The session id (used in the
+ *   name of the temporary directory).
+ * @param {String} [tmp = os.tmpdir()] The parent directory.
+ */
+function Cache(id, tmp) {
+  this.id  = id;
+  this.tmp = tmp || os.tmpdir();
+
+  /**
+   * The cache directory; undefined until
+   * the first file has been cached.
+   *
+   * @property root
+   * @type String
+   */
+  this.root = undefined;
+
+  /**
+   * Promises for the paths of all cached
+   * files indexed by key.
+   *
+   * @property files
+   * @type Object
+   */
+  this.files = {};
+}
+
+/**
+ * Creates the cache directory, unless it exists already.
+ *
+ * @method mkdir
+ * @return {Promise<String>} The cache directory.
+ */
+Cache.prototype.mkdir = co(function* () {
+  if (this.root) return this.root;
+
+  var root = join(this.tmp,
+    ['arkivo', this.id || 'session', common.id()].join('-'));
+
+  yield fs.mkdirpAsync(root);
+
+  debug('created cache directory %s', root);
+
+  return (this.root = root);
+});
+
+/**
+ * Returns a promise for the path of the file cached for
+ * `key`. If the file has not been cached yet, it will be
+ * cached by calling `fn` with the path where the file
+ * should be written to. Concurrent calls for the same key
+ * share the same promise.
+ *
+ * @method fetch
+ *
+ * @param {String} key
+ * @param {Function} fn Writes the file to the given path;
+ *   must return a promise.
+ *
+ * @return {Promise<String>} The path of the cached file.
+ */
+Cache.prototype.fetch = function (key, fn) {
+  var files = this.files;
+
+  if (!files[key]) {
+    files[key] = this
+      .mkdir()
+
+      .then(function (root) {
+        var path = join(root, key);
+
+        return B.resolve(fn(path)).return(path);
+      })
+
+      .catch(function (error) {
+        delete files[key];
+        throw error;
+      });
+  }
+
+  return files[key];
+};
+
+/**
+ * Removes the cache directory and all cached files.
+ *
+ * @method clear
+ * @return {Promise<this>}
+ */
+Cache.prototype.clear = co(function* () {
+  var root = this.root;
+
+  this.files = {};
+
+  if (!root) return this;
+
+  this.root = undefined;
+
+  yield fs.removeAsync(root);
+
+  debug('removed cache directory %s', root);
+
+  return this;
+});
+
+// --- Exports ---
+module.exports = Cache;
@@ -0,0 +1,147 @@
+'use strict';
+
+// --- Dependencies ---
+var debug = require('debug')('arkivo:checkpoint');
+
+var B = require('bluebird');
+var co = B.coroutine.bind(B);
+
+var config = require('./config').subscription;
+var db     = require('./db');
+
+var properties = Object.defineProperties;
+var keys = Object.keys;
+
+/** @module arkivo */
+
+/**
+ * A Checkpoint stores the state of an in-progress
+ * synchronization session in the database, so that
+ * interrupted sessions can be resumed later on
+ * (e.g., after a restart).
+ *
+ * @class Checkpoint
+ * @constructor
+ *
+ * @param {String} id The id of the session's subscription.
+ */
+function Checkpoint(id) {
+  this.id = id;
+}
+
+properties(Checkpoint.prototype, {
+  db: {
+    get: function () { return db(config.prefix); }
+  },
+
+  /**
+   * The database key of the session's state.
+   *
+   * @property key
+   * @type String
+   */
+  key: {
+    get: function () { return ['checkpoint', this.id].join(':'); }
+  },
+
+  /**
+   * The database key of the downloaded items.
+   *
+   * @property items
+   * @type String
+   */
+  items: {
+    get: function () { return [this.key, 'items'].join(':'); }
+  }
+});
+
+/**
+ * Loads the checkpoint's session state.
+ *
+ * @method load
+ *
+ * @return {Promise<Object>} The session state (version,
+ *   versions, dispatched plugins, and downloaded items),
+ *   or null if there is no checkpoint.
+ */
+Checkpoint.prototype.load = co(function* () {
+  var data = yield this.db.hgetall(this.key);
+
+  if (!data || !data.version) return null;
+
+  debug('[%s] loading checkpoint of version %s...', this.id, data.version);
+
+  var items = yield this.db.hgetall(this.items);
+  var state = {
+    version: parseInt(data.version, 10),
+    versions: JSON.parse(data.versions || '{}'),
+    dispatched: JSON.parse(data.dispatched || '[]'),
+    items: {}
+  };
+
+  if (items) {
+    keys(items).forEach(function (key) {
+      state.items[key] = JSON.parse(items[key]);
+    });
+  }
+
+  return state;
+});
+
+/**
+ * Saves the passed-in session's version, versions
+ * and dispatched plugins.
+ *
+ * @method save
+ *
+ * @param {Session} session
+ * @return {Promise<this>}
+ */
+Checkpoint.prototype.save = co(function* (session) {
+  yield this.db.hmset(this.key, [
+    'version', session.version,
+    'versions', JSON.stringify(session.versions || {}),
+    'dispatched', JSON.stringify(session.dispatched)
+  ]);
+
+  return this;
+});
+
+/**
+ * Saves the passed-in downloaded items.
+ *
+ * @method store
+ *
+ * @param {Array<Object>} items
+ * @return {Promise<this>}
+ */
+Checkpoint.prototype.store = co(function* (items) {
+  if (!items.length) return this;
+
+  var args = [];
+
+  items.forEach(function (item) {
+    args.push(item.key, JSON.stringify(item));
+  });
+
+  yield this.db.hmset(this.items, args);
+
+  return this;
+});
+
+/**
+ * Removes the checkpoint from the database.
+ *
+ * @method clear
+ * @return {Promise<this>}
+ */
+Checkpoint.prototype.clear = co(function* () {
+  yield this.db.del(this.key, this.items);
+
+  debug('[%s] checkpoint cleared', this.id);
+
+  return this;
+});
+
+// --- Exports ---
+module.exports = Checkpoint;
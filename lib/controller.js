@@ -21,6 +21,7 @@ var db     = require('./db');
 var q      = require('./q').instance;
 
 var sync   = require('./sync').instance;
+var plugins = require('./plugins');
 
 var Subscription = require('./subscription');
 var Listener = require('./listener');
@@ -71,6 +72,18 @@ function Controller(options) {
    */
   this.lock = {};
 
+  /**
+   * The synchronization jobs in progress.
+   *
+   * @property running
+   * @type Array<Kue.Job>
+   */
+  this.running = [];
+
+  // A single listener reports the throttling of
+  // the shared Governor to all jobs in progress.
+  this.throttled = throttled(this.running);
+
 }
 inherits(Controller, EventEmitter);
 
@@ -89,6 +102,9 @@ inherits(Controller, EventEmitter);
  * @param {Object} [job]
  *   The Kue.Job object (used for status reporting).
  *
+ * @throws {Subscription.ValidationError} If the plugin
+ *   configurations are not valid.
+ *
  * @return {Promise<Subscription>}
  *   A promise for the saved subscription.
  */
@@ -100,8 +116,20 @@ Controller.prototype.subscribe = function (data, job) {
 
   report(job, ['subscribing to "%s"...', subscription.url]);
 
-  return subscription
-    .save()
+  return B
+    .try(function () {
+      plugins.validate(subscription.plugins);
+    })
+
+    .catch(plugins.Schema.SchemaError, function (error) {
+      throw new Subscription.ValidationError(error.message);
+    })
+
+    .then(function () { return subscription.save(); })
+
+    .tap(function (s) {
+      return plugins.hook('subscribed', s).then(reporter(job, s));
+    })
 
     .tap(function (s) {
       this.notify('sync', {
@@ -143,12 +171,45 @@ Controller.prototype.unsubscribe = function (data, job) {
   return subscription
     .call('destroy')
 
+    .tap(function (s) {
+      return plugins.hook('unsubscribed', s).then(reporter(job, s));
+    })
+
     .tap(function (s) {
       if (this.options.listen) return this.listener.remove(s);
     }.bind(this));
 };
 
 
+/**
+ * Reloads all plugins at runtime: tears down the
+ * current plugins, reloads all plugin modules (see
+ * `Plugins#update`) and sets up the new plugins.
+ *
+ * @method reload
+ * @param {Object} [job]
+ *
+ * @return {Promise<Plugins>} The updated plugins.
+ */
+Controller.prototype.reload = function (job) {
+  report(job, ['reloading plugins...']);
+
+  return plugins
+    .hook('teardown')
+    .then(reporter(job))
+
+    .then(function () { plugins.update(); })
+
+    .then(function () { return plugins.hook('setup'); })
+    .then(reporter(job))
+
+    .then(function () {
+      report(job, ['%d plugin(s) available', plugins.count]);
+      return plugins;
+    });
+};
+
+
 /**
  * Synchronizes the subscriptions matching
  * the passed-in id or ids.
@@ -176,6 +237,8 @@ Controller.prototype.synchronize = function (data, job) {
   var subscriptions;
 
   var lock = this.lock;
+  var running = this.running;
+  var listener = this.throttled;
 
   if (data.all) {
     report(job, ['loading all subscriptions...']);
@@ -200,6 +263,10 @@ Controller.prototype.synchronize = function (data, job) {
       .then(listify);
   }
 
+  // Report when the Zotero API asks us to back off!
+  if (running.push(job) === 1)
+    sync.governor.on('throttled', listener);
+
   return subscriptions
     .tap(function (ss) {
       progress = progressor(job, ss.length);
@@ -222,7 +289,35 @@ Controller.prototype.synchronize = function (data, job) {
       return sync
         .synchronize(s, data.skip)
 
-        .tap(function () { return s.save(); })
+        .tap(function (session) {
+          if (session.resumed) {
+            report(job, [
+              '[%s] resumed interrupted synchronization of version %d',
+              s.id, session.resumed
+            ]);
+          }
+
+          for (var key in session.corrupted) {
+            report(job, [
+              '[%s] attachment %s is corrupted: %s',
+              s.id, key, session.corrupted[key].message
+            ]);
+          }
+
+          for (var id in session.failed) {
+            report(job, [
+              '[%s] plugin %s failed: %s',
+              s.id, id, session.failed[id].message
+            ]);
+          }
+        })
+
+        // The checkpoint may be removed only after the
+        // subscription's new version has been saved!
+        .tap(function (session) {
+          return s.save().then(function () { return session.finish(); });
+        })
+
         .tap(progress)
 
         .catch(Subscription.UpdateError, function () {
@@ -248,7 +343,14 @@ Controller.prototype.synchronize = function (data, job) {
 
         .finally(function () { delete lock[s.id]; });
 
-    }, { concurrency: this.options.workers });
+    }, { concurrency: this.options.workers })
+
+    .finally(function () {
+      running.splice(running.indexOf(job), 1);
+
+      if (!running.length)
+        sync.governor.removeListener('throttled', listener);
+    });
 };
 
 Controller.prototype.sync = Controller.prototype.synchronize;
@@ -348,10 +450,12 @@ Controller.prototype.start = function (jobs) {
   var workers  = this.options.workers;
   var listener = this.listener;
 
-  // Initially sync all subscriptions;
+  // Set up all plugins, initially sync all subscriptions;
   // then start processing new or interrupted jobs!
-  var subscriptions = this
-    .sync({ all: true })
+  var subscriptions = plugins
+    .hook('setup')
+    .then(reporter())
+    .then(this.sync.bind(this, { all: true }))
     .catch(fail('initial synchronization failed'));
 
   subscriptions
@@ -404,6 +508,9 @@ Controller.prototype.stop = function () {
     this.listener.stop(config.timeout)
   ])
 
+    .then(function () { return plugins.hook('teardown'); })
+    .then(reporter())
+
     .tap(function () { db.reset(); })
     .tap(function () { debug('shut down complete'); })
 
@@ -415,6 +522,39 @@ Controller.instance = new Controller();
 
 // --- Private Helpers ---
 
+// Returns a function which reports the errors of
+// failed plugin hooks (as returned by `plugins.hook`).
+function reporter(job, s) {
+  return function (failed) {
+    for (var id in failed) {
+      report(job, s ? [
+        '[%s] plugin %s hook failed: %s', s.id, id, failed[id].message
+      ] : [
+        'plugin %s hook failed: %s', id, failed[id].message
+      ]);
+    }
+  };
+}
+
+// Returns a listener for the Governor's `throttled`
+// event: the pause is logged to debug once and to the
+// UI of each of the passed-in jobs.
+function throttled(jobs) {
+  return function (delay, reason, attempt) {
+    var args = attempt ?
+      ['zotero api throttled (%s): retry #%d in %ds...',
+        reason, attempt, Math.round(delay / 1000)] :
+      ['zotero api throttled (%s): pausing for %ds...',
+        reason, Math.round(delay / 1000)];
+
+    debug.apply(null, args);
+
+    jobs.forEach(function (job) {
+      if (job) job.log.apply(job, [capitalize(args[0])].concat(args.slice(1)));
+    });
+  };
+}
+
 // Convenience helper to log messages to debug and UI
 function report(job, args) {
   try {
@@ -0,0 +1,252 @@
+'use strict';
+
+// --- Dependencies ---
+var debug = require('debug')('arkivo:filter');
+
+var properties = Object.defineProperties;
+var keys = Object.keys;
+var concat = Array.prototype.concat;
+
+/** @module arkivo */
+
+/**
+ * A Filter selects the items of a synchronization
+ * session which are passed on to the plugins, based
+ * on a set of declarative `include` and `exclude` rules.
+ *
+ * Each set of rules may contain the following criteria:
+ *
+ * - `itemType`: an item type or a list of types
+ * - `tag`: a tag or a list of tags
+ * - `collection`: a collection key or a list of keys
+ * - `dateAdded`: an object with `after` and/or `before` dates
+ * - `field`: an object mapping field paths (e.g., `data.title`
+ *   or `data.creators.lastName`) to values or regular
+ *   expressions (e.g., `"/^Smith/i"`)
+ *
+ * An item passes the filter if it matches *all* of the
+ * `include` criteria and *none* of the `exclude` criteria.
+ *
+ * @class Filter
+ * @constructor
+ *
+ * @param {Object} [rules] The filter rules.
+ * @throws {Error} If the rules are not valid.
+ */
+function Filter(rules) {
+  rules = Filter.validate(rules);
+
+  this.include = rules.include;
+  this.exclude = rules.exclude;
+}
+
+/**
+ * Validates the passed-in filter rules; all regular
+ * expressions are compiled and all dates are checked.
+ *
+ * @method validate
+ * @static
+ *
+ * @param {Object} [rules] The filter rules.
+ * @throws {Error} If the rules are not valid.
+ *
+ * @return {Object} The compiled `include` and `exclude` rules.
+ */
+Filter.validate = function (rules) {
+  rules = rules || {};
+
+  keys(rules).forEach(function (name) {
+    if (name !== 'include' && name !== 'exclude')
+      throw new Error('unknown filter rule: ' + name);
+  });
+
+  return {
+    include: compile(rules.include || {}),
+    exclude: compile(rules.exclude || {})
+  };
+};
+
+/**
+ * The available filter criteria; each criterion
+ * is a function which takes an item and the criterion's
+ * value and returns whether or not the item matches.
+ *
+ * @property criteria
+ * @type Object
+ * @static
+ */
+Filter.criteria = {
+  itemType: function (item, types) {
+    return list(types).indexOf(item.data.itemType) !== -1;
+  },
+
+  tag: function (item, tags) {
+    tags = list(tags);
+
+    return (item.data.tags || []).some(function (t) {
+      return tags.indexOf(t.tag) !== -1;
+    });
+  },
+
+  collection: function (item, collections) {
+    collections = list(collections);
+
+    return (item.data.collections || []).some(function (c) {
+      return collections.indexOf(c) !== -1;
+    });
+  },
+
+  dateAdded: function (item, range) {
+    var date = Date.parse(item.data.dateAdded);
+
+    if (isNaN(date)) return false;
+
+    if (range.after && date <= Date.parse(range.after)) return false;
+    if (range.before && date >= Date.parse(range.before)) return false;
+
+    return true;
+  },
+
+  field: function (item, fields) {
+    return keys(fields).every(function (path) {
+      var pattern = fields[path];
+
+      return resolve(item, path.split('.')).some(function (value) {
+        return match(pattern, value);
+      });
+    });
+  }
+};
+
+properties(Filter.prototype, {
+  /**
+   * Whether or not the filter has any rules at all.
+   *
+   * @property empty
+   * @type Boolean
+   */
+  empty: {
+    get: function () {
+      return !keys(this.include).length && !keys(this.exclude).length;
+    }
+  }
+});
+
+/**
+ * Tests whether or not the passed-in item passes the filter.
+ *
+ * @method matches
+ * @param {Object} item A Zotero item.
+ *
+ * @return {Boolean} True if the item passes.
+ */
+Filter.prototype.matches = function (item) {
+  var include = this.include, exclude = this.exclude;
+
+  if (!item || !item.data) return true;
+
+  var included = keys(include).every(function (name) {
+    return Filter.criteria[name](item, include[name]);
+  });
+
+  if (!included) return false;
+
+  var excluded = keys(exclude).some(function (name) {
+    return Filter.criteria[name](item, exclude[name]);
+  });
+
+  if (excluded) debug('item %s excluded', item.key);
+
+  return !excluded;
+};
+
+
+// --- Private Helpers ---
+
+// Returns a copy of the criteria in which all
+// field patterns are compiled.
+function compile(criteria) {
+  var compiled = {};
+
+  keys(criteria).forEach(function (name) {
+    if (!Filter.criteria.hasOwnProperty(name))
+      throw new Error('unknown filter criterion: ' + name);
+
+    compiled[name] = criteria[name];
+  });
+
+  if (compiled.dateAdded) period(compiled.dateAdded);
+
+  if (compiled.field) {
+    if (typeof compiled.field !== 'object')
+      throw new Error('field criterion must be an object');
+
+    compiled.field = keys(criteria.field).reduce(function (fields, path) {
+      fields[path] = regexp(criteria.field[path]) || criteria.field[path];
+      return fields;
+    }, {});
+  }
+
+  return compiled;
+}
+
+function period(dates) {
+  if (typeof dates !== 'object' || Array.isArray(dates))
+    throw new Error('dateAdded criterion must be an object');
+
+  keys(dates).forEach(function (name) {
+    if (name !== 'after' && name !== 'before')
+      throw new Error('unknown dateAdded option: ' + name);
+
+    if (isNaN(Date.parse(dates[name])))
+      throw new Error('invalid date: ' + dates[name]);
+  });
+}
+
+// Returns the regular expression if the pattern is
+// of the form `/.../flags`, or null otherwise.
+function regexp(pattern) {
+  if (pattern instanceof RegExp) return pattern;
+
+  var m = (/^\/(.*)\/([gimy]*)$/).exec(pattern);
+  if (!m) return null;
+
+  try {
+    return new RegExp(m[1], m[2]);
+  } catch (error) {
+    throw new Error('invalid regular expression: ' + pattern);
+  }
+}
+
+function list(value) {
+  return concat.call([], value);
+}
+
+// Resolves the path in the passed-in object; if an
+// array is encountered along the way, the remaining
+// path is resolved for each of its elements.
+function resolve(object, path) {
+  if (object == null) return [];
+  if (Array.isArray(object))
+    return concat.apply([], object.map(function (o) {
+      return resolve(o, path);
+    }));
+
+  if (!path.length) return [object];
+
+  return resolve(object[path[0]], path.slice(1));
+}
+
+function match(pattern, value) {
+  var re = regexp(pattern);
+
+  if (re) {
+    re.lastIndex = 0;
+    return re.test(String(value));
+  }
+
+  return String(pattern) === String(value);
+}
+
+// --- Exports ---
+module.exports = Filter;
@@ -0,0 +1,210 @@
+'use strict';
+
+// --- Dependencies ---
+var inherits = require('util').inherits;
+var EventEmitter = require('events').EventEmitter;
+
+var debug = require('debug')('arkivo:governor');
+
+var B = require('bluebird');
+
+var config = require('./config').sync;
+var common = require('./common');
+var extend = common.extend;
+
+var properties = Object.defineProperties;
+
+/** @module arkivo */
+
+/**
+ * The Governor regulates all requests sent to the
+ * Zotero API by the Synchronizer. When Zotero asks
+ * us to slow down (using the `Backoff` or `Retry-After`
+ * headers, or by responding with status 429 or 503)
+ * the Governor pauses all requests for the advertised
+ * interval and retries throttled requests.
+ *
+ * @class Governor
+ * @constructor
+ * @extends EventEmitter
+ *
+ * @param {zotero.Client} [client] The Zotero client whose
+ *   state is used to look up `Retry-After` intervals.
+ * @param {Object} [options]
+ */
+function Governor(client, options) {
+  EventEmitter.call(this);
+
+  this.client  = client;
+  this.options = extend({}, config, options);
+
+  /**
+   * The time (as UNIX timestamp) until which
+   * all requests are paused.
+   *
+   * @property until
+   * @type Number
+   */
+  this.until = 0;
+}
+
+inherits(Governor, EventEmitter);
+
+properties(Governor.prototype, {
+  /**
+   * The time (in milliseconds) to wait before
+   * the next request may be sent.
+   *
+   * @property limited
+   * @type Number
+   */
+  limited: {
+    get: function () {
+      return Math.max(0, this.until - Date.now());
+    }
+  }
+});
+
+/**
+ * Sends a request by calling `fn`, which must return
+ * a promise for a Zotero.Message. If the Governor is
+ * currently paused, the request will be delayed; if the
+ * request is throttled by Zotero, it will be retried
+ * up to `options.retries` times.
+ *
+ * @method request
+ *
+ * @param {Function} fn The request function.
+ * @param {Number} [attempt = 0] The current attempt.
+ *
+ * @return {Promise<Zotero.Message>}
+ */
+Governor.prototype.request = function (fn, attempt) {
+  var self = this, delay = this.limited;
+
+  attempt = attempt || 0;
+
+  var message = delay ?
+    B.delay(delay + this.jitter()).then(fn) : B.try(fn);
+
+  return message
+    .tap(function (m) { self.parse(m); })
+
+    .catch(function (error) {
+      if (!throttled(error) || attempt >= self.options.retries)
+        throw error;
+
+      self.pause(self.interval(attempt, error),
+        reason(error.code), attempt + 1);
+
+      return self.request(fn, attempt + 1);
+    });
+};
+
+/**
+ * Pauses all requests for the passed-in number of
+ * milliseconds. Emits a `throttled` event unless
+ * the Governor is already paused for longer.
+ *
+ * @method pause
+ * @chainable
+ *
+ * @param {Number} delay The pause in milliseconds.
+ * @param {String} [why] The reason for the pause.
+ * @param {Number} [attempt] The retry attempt, if any.
+ */
+Governor.prototype.pause = function (delay, why, attempt) {
+  var until = Date.now() + delay;
+
+  if (until <= this.until) return this;
+
+  debug('throttled (%s): pausing for %ds...', why, delay / 1000);
+
+  this.until = until;
+  this.emit('throttled', delay, why, attempt);
+
+  return this;
+};
+
+/**
+ * Checks the passed-in message's `Backoff` header and
+ * pauses all requests accordingly.
+ *
+ * @method parse
+ * @private
+ * @chainable
+ *
+ * @param {Zotero.Message} message
+ */
+Governor.prototype.parse = function (message) {
+  var backoff = message && message.headers &&
+    parseInt(message.headers.backoff, 10);
+
+  if (backoff > 0)
+    this.pause(1000 * backoff, reason());
+
+  return this;
+};
+
+/**
+ * Returns the interval to wait before retrying a throttled
+ * request: the `Retry-After` interval reported by Zotero
+ * (either in the error's `retry` property or in the client's
+ * state) or, failing that, an exponential backoff.
+ *
+ * @method interval
+ * @private
+ *
+ * @param {Number} attempt The number of failed attempts.
+ * @param {Error} [error] The error of the failed attempt.
+ * @return {Number} The interval in milliseconds.
+ */
+Governor.prototype.interval = function (attempt, error) {
+  var state = this.client && this.client.state;
+  var retry = (error && error.retry) ||
+    state && Math.max(state.retry || 0, state.backoff || 0);
+
+  return retry || this.options.backoff * Math.pow(2, attempt || 0);
+};
+
+/**
+ * @method jitter
+ * @private
+ *
+ * @return {Number} A random delay of up to `options.jitter` ms.
+ */
+Governor.prototype.jitter = function () {
+  return Math.floor(Math.random() * (this.options.jitter || 0));
+};
+
+/**
+ * Resets the Governor's throttle state.
+ *
+ * @method reset
+ * @chainable
+ */
+Governor.prototype.reset = function () {
+  this.until = 0;
+  return this;
+};
+
+
+// --- Private Helpers ---
+
+function throttled(error) {
+  return error && (error.code === 429 || error.code === 503);
+}
+
+function reason(code) {
+  switch (code) {
+    case 429:
+      return 'too many requests';
+    case 503:
+      return 'service unavailable';
+    default:
+      return 'overload';
+  }
+}
+
+// --- Exports ---
+module.exports = Governor;
@@ -19,6 +19,7 @@ var pick   = common.pick;
 var Range        = require('../../range');
 var Subscription = require('../../subscription');
 var controller   = require('../../controller').instance;
+var plugins      = require('../../plugins');
 
 var NotFoundError   = Subscription.NotFoundError;
 var ValidationError = Subscription.ValidationError;
@@ -217,6 +218,48 @@ api.route('/sync')
       .catch(next);
   });
 
+api.route('/plugin')
+
+  /*
+   * GET /api/plugin
+   *
+   * Returns all available plugins.
+   */
+  .get(function (req, res, next) {
+    var list = [];
+
+    plugins.each(function (plugin) { list.push(plugin.json); });
+
+    res
+      .status(200)
+      .set({ 'Total-Results': list.length })
+      .send(list);
+  });
+
+api.route('/plugin/reload')
+
+  /*
+   * POST /api/plugin/reload
+   *
+   * Reloads all plugins without restarting the service.
+   *
+   * Returns all available plugins.
+   */
+  .post(function (req, res, next) {
+    controller
+      .reload()
+
+      .then(function () {
+        var list = [];
+
+        plugins.each(function (plugin) { list.push(plugin.json); });
+
+        res.status(200).send(list);
+      })
+
+      .catch(next);
+  });
+
 // --- Error Handlers ---
 
 api.use(log('errors', debug));
@@ -0,0 +1,339 @@
+'use strict';
+
+// --- Dependencies ---
+var debug = require('debug')('arkivo:plugins:bibtex');
+
+var B  = require('bluebird');
+var co = B.coroutine.bind(B);
+
+var util = require('./util');
+
+var citable = util.citable;
+var write = util.write;
+var read = util.read;
+
+
+// Zotero item types and their BibTeX and BibLaTeX
+// entry types; all other types are exported as `misc`.
+var TYPES = {
+  book: ['book', 'book'],
+  bookSection: ['incollection', 'incollection'],
+  journalArticle: ['article', 'article'],
+  magazineArticle: ['article', 'article'],
+  newspaperArticle: ['article', 'article'],
+  conferencePaper: ['inproceedings', 'inproceedings'],
+  thesis: ['phdthesis', 'thesis'],
+  report: ['techreport', 'report'],
+  manuscript: ['unpublished', 'unpublished'],
+  webpage: ['misc', 'online'],
+  blogPost: ['misc', 'online'],
+  patent: ['misc', 'patent'],
+  dataset: ['misc', 'dataset'],
+  computerProgram: ['misc', 'software']
+};
+
+// Zotero fields and their BibTeX and BibLaTeX field
+// names; a list of Zotero fields means the first field
+// which has a value is used.
+var FIELDS = [
+  [['title'], 'title', 'title'],
+  [['publicationTitle'], 'journal', 'journaltitle', ['article']],
+  [['bookTitle', 'proceedingsTitle', 'publicationTitle'],
+    'booktitle', 'booktitle', ['incollection', 'inproceedings']],
+  [['series'], 'series', 'series'],
+  [['edition'], 'edition', 'edition'],
+  [['volume'], 'volume', 'volume'],
+  [['issue'], 'number', 'number'],
+  [['pages'], 'pages', 'pages'],
+  [['publisher'], 'publisher', 'publisher'],
+  [['place'], 'address', 'location'],
+  [['university'], 'school', 'institution'],
+  [['institution'], 'institution', 'institution'],
+  [['reportNumber'], 'number', 'number'],
+  [['ISBN'], 'isbn', 'isbn'],
+  [['ISSN'], 'issn', 'issn'],
+  [['DOI'], 'doi', 'doi'],
+  [['url'], 'url', 'url'],
+  [['language'], 'language', 'language'],
+  [['abstractNote'], 'abstract', 'abstract']
+];
+
+// Fields which are written verbatim (i.e., LaTeX's
+// special characters are not escaped).
+var VERBATIM = ['url', 'doi'];
+
+// LaTeX's special characters and their replacements;
+// all other special characters are escaped by a backslash.
+var SPECIAL = {
+  '\\': '\\textbackslash{}',
+  '^': '\\^{}',
+  '~': '\\~{}'
+};
+
+var ENTRY = /^@(\w+)\s*\{\s*([^,\s]+)\s*,/;
+
+
+/**
+ * A Bibliography is a BibTeX file whose entries
+ * can be replaced and removed one at a time.
+ */
+function Bibliography(text) {
+  var lines = (text || '').split('\n'), current = null;
+
+  this.preamble = [];
+  this.entries = {};
+  this.keys = [];
+
+  lines.forEach(function (line) {
+    var m = ENTRY.exec(line);
+
+    if (m) {
+      current = m[2];
+      this.keys.push(current);
+      this.entries[current] = [];
+    }
+
+    if (current) this.entries[current].push(line);
+    else this.preamble.push(line);
+  }, this);
+
+  this.keys.forEach(function (key) {
+    this.entries[key] = this.entries[key].join('\n').trim();
+  }, this);
+}
+
+Bibliography.prototype.has = function (key) {
+  return this.entries.hasOwnProperty(key);
+};
+
+Bibliography.prototype.set = function (key, text) {
+  if (!this.has(key)) this.keys.push(key);
+  this.entries[key] = text;
+
+  return this;
+};
+
+Bibliography.prototype.remove = function (key) {
+  var idx = this.keys.indexOf(key);
+
+  if (idx !== -1) this.keys.splice(idx, 1);
+  delete this.entries[key];
+
+  return this;
+};
+
+Bibliography.prototype.toString = function () {
+  var preamble = this.preamble.join('\n').trim();
+
+  return (preamble ? [preamble] : [])
+    .concat(this.keys.map(function (key) { return this.entries[key]; }, this))
+    .join('\n\n') + '\n';
+};
+
+
+// --- Private Helpers ---
+
+function fold(string) {
+  string = String(string || '');
+  if (string.normalize) string = string.normalize('NFKD');
+
+  return string.replace(/[\u0300-\u036f]/g, '');
+}
+
+function escape(value) {
+  return String(value)
+    .replace(/[\\{}%&$#_^~]/g, function (c) {
+      return SPECIAL[c] || '\\' + c;
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Verbatim values must not contain braces or
+// whitespace; both are percent-encoded.
+function verbatim(value) {
+  return String(value).trim().replace(/[{}\s]/g, encodeURIComponent);
+}
+
+// Returns Zotero's ISO 8601 interpretation of the item's
+// free-form date (e.g., `2014-03-01`, `2014-03` or `2014`).
+function parsed(item) {
+  var date = (item.meta && item.meta.parsedDate) || '';
+  return (/^\d{4}(-\d{2}){0,2}$/).test(date) ? date : null;
+}
+
+function year(item) {
+  var date = parsed(item);
+  return date && date.slice(0, 4);
+}
+
+function creator(c) {
+  if (c.name) return '{' + escape(c.name) + '}';
+  return [c.lastName, c.firstName].filter(Boolean).map(escape).join(', ');
+}
+
+function creators(item, type) {
+  return (item.data.creators || [])
+    .filter(function (c) { return c.creatorType === type; })
+    .map(creator)
+    .join(' and ');
+}
+
+/**
+ * Generates a citation key of the form `<author><year><word>`
+ * (e.g., `smith2014history`) for the passed-in item.
+ */
+function cite(item) {
+  var first = (item.data.creators || [])[0] || {};
+  var word = fold(item.data.title).toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(function (w) { return w.length > 3; })[0];
+
+  var key = [
+    fold(first.lastName || first.name).toLowerCase().replace(/[^a-z0-9]/g, ''),
+    year(item),
+    word
+  ].filter(Boolean).join('');
+
+  return key || item.key.toLowerCase();
+}
+
+// Appends a, b, c, ..., aa, ab, ... to the key until
+// it is unique according to the `taken` function.
+function unique(key, taken) {
+  for (var i = 0, candidate = key; taken(candidate); ++i)
+    candidate = key + suffix(i);
+
+  return candidate;
+}
+
+function suffix(i) {
+  var s = '';
+
+  for (i = i + 1; i > 0; i = Math.floor((i - 1) / 26))
+    s = String.fromCharCode(97 + (i - 1) % 26) + s;
+
+  return s;
+}
+
+/**
+ * Converts the passed-in item to a BibTeX or BibLaTeX entry.
+ */
+function entry(item, key, format) {
+  var biblatex = (format === 'biblatex');
+  var data = item.data, idx = biblatex ? 1 : 0;
+  var type = (TYPES[data.itemType] || ['misc', 'misc'])[idx];
+  var fields = [];
+
+  function add(name, value) {
+    if (value && !fields.some(function (f) { return f[0] === name; }))
+      fields.push([name, value]);
+  }
+
+  add('author', creators(item, 'author'));
+  add('editor', creators(item, 'editor'));
+
+  FIELDS.forEach(function (f) {
+    if (f[3] && f[3].indexOf(type) === -1) return;
+
+    var value = f[0]
+      .map(function (name) { return data[name]; })
+      .filter(Boolean)[0];
+
+    if (value) {
+      add(f[idx + 1], VERBATIM.indexOf(f[idx + 1]) === -1 ?
+        escape(value) : verbatim(value));
+    }
+  });
+
+  // BibLaTeX dates must be in ISO 8601 format!
+  if (biblatex) add('date', parsed(item));
+  else add('year', year(item));
+
+  add('keywords', (data.tags || [])
+    .map(function (t) { return escape(t.tag); }).join(', '));
+
+  return ['@' + type + '{' + key + ','].concat(
+    fields.map(function (f, i) {
+      return '  ' + f[0] + ' = {' + f[1] + '}' +
+        (i < fields.length - 1 ? ',' : '');
+    }),
+    '}').join('\n');
+}
+
+
+
+module.exports = {
+  name: 'bibtex',
+
+  description:
+    'Keeps a BibTeX or BibLaTeX file up to date with all ' +
+    'regular items of the subscription.',
+
+  parameters: {
+    type: 'object',
+    required: ['file'],
+    properties: {
+      file: {
+        type: 'string',
+        description: 'The path of the .bib file.'
+      },
+      format: {
+        type: 'string',
+        enum: ['bibtex', 'biblatex'],
+        default: 'bibtex',
+        description: 'The output format.'
+      }
+    }
+  },
+
+  reset: function () {
+    return write(this.options.file, '');
+  },
+
+  process: co(function* (sync) {
+    var file = this.options.file, format = this.options.format;
+    var subscription = sync.subscription, reserved = {};
+
+    // Citation keys are remembered per .bib file!
+    var id = ['bibtex', file].join(':');
+
+    debug('updating %s...', file);
+
+    var bib = new Bibliography(yield read(file));
+
+    yield B.each(sync.deleted, co(function* (key) {
+      var citekey = yield subscription.lookup(id, key);
+      if (!citekey) return;
+
+      bib.remove(citekey);
+      yield subscription.forget(id, key);
+    }));
+
+    var items = sync.created
+      .concat(sync.updated)
+      .map(function (key) { return sync.items[key]; })
+      .filter(citable);
+
+    // Items are processed one at a time, so that
+    // new citation keys are guaranteed to be unique.
+    yield B.each(items, co(function* (item) {
+      var citekey = yield subscription.lookup(id, item.key);
+
+      if (!citekey) {
+        citekey = unique(cite(item), function (candidate) {
+          return bib.has(candidate) || reserved[candidate];
+        });
+
+        reserved[citekey] = true;
+        yield subscription.remember(id, item.key, citekey);
+      }
+
+      bib.set(citekey, entry(item, citekey, format));
+    }));
+
+    yield write(file, bib.toString());
+
+    debug('%d entries written to %s', bib.keys.length, file);
+  })
+};
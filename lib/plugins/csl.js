@@ -0,0 +1,315 @@
+'use strict';
+
+// --- Dependencies ---
+var fs = require('fs-extra');
+var join = require('path').join;
+
+var debug = require('debug')('arkivo:plugins:csl');
+
+var B  = require('bluebird');
+var co = B.coroutine.bind(B);
+
+var util = require('./util');
+
+var citable = util.citable;
+var ignore = util.ignore;
+var write = util.write;
+
+B.promisifyAll(fs);
+
+
+// Zotero item types and their CSL types; all
+// other types are exported as `article`.
+var TYPES = {
+  artwork: 'graphic',
+  audioRecording: 'song',
+  bill: 'bill',
+  blogPost: 'post-weblog',
+  book: 'book',
+  bookSection: 'chapter',
+  case: 'legal_case',
+  computerProgram: 'software',
+  conferencePaper: 'paper-conference',
+  dataset: 'dataset',
+  dictionaryEntry: 'entry-dictionary',
+  email: 'personal_communication',
+  encyclopediaArticle: 'entry-encyclopedia',
+  film: 'motion_picture',
+  forumPost: 'post',
+  hearing: 'bill',
+  instantMessage: 'personal_communication',
+  interview: 'interview',
+  journalArticle: 'article-journal',
+  letter: 'personal_communication',
+  magazineArticle: 'article-magazine',
+  manuscript: 'manuscript',
+  map: 'map',
+  newspaperArticle: 'article-newspaper',
+  patent: 'patent',
+  podcast: 'song',
+  presentation: 'speech',
+  radioBroadcast: 'broadcast',
+  report: 'report',
+  statute: 'legislation',
+  thesis: 'thesis',
+  tvBroadcast: 'broadcast',
+  videoRecording: 'motion_picture',
+  webpage: 'webpage'
+};
+
+// CSL variables and the Zotero fields they are taken
+// from; the first Zotero field with a value is used.
+var VARIABLES = {
+  'title': ['title', 'caseName', 'nameOfAct', 'subject'],
+  'title-short': ['shortTitle'],
+  'container-title': [
+    'publicationTitle', 'bookTitle', 'proceedingsTitle',
+    'websiteTitle', 'blogTitle', 'forumTitle', 'encyclopediaTitle',
+    'dictionaryTitle', 'programTitle', 'reporter', 'code'
+  ],
+  'container-title-short': ['journalAbbreviation'],
+  'collection-title': ['series', 'seriesTitle'],
+  'collection-number': ['seriesNumber'],
+  'volume': ['volume', 'codeVolume', 'reporterVolume'],
+  'issue': ['issue'],
+  'page': ['pages', 'codePages', 'firstPage'],
+  'number-of-pages': ['numPages'],
+  'number-of-volumes': ['numberOfVolumes'],
+  'edition': ['edition'],
+  'number': [
+    'number', 'reportNumber', 'billNumber', 'patentNumber',
+    'episodeNumber', 'publicLawNumber', 'docketNumber'
+  ],
+  'genre': [
+    'genre', 'thesisType', 'reportType', 'websiteType',
+    'presentationType', 'letterType', 'manuscriptType', 'mapType'
+  ],
+  'medium': ['medium', 'artworkMedium', 'audioRecordingFormat',
+    'videoRecordingFormat', 'interviewMedium'],
+  'publisher': [
+    'publisher', 'university', 'institution', 'label',
+    'distributor', 'network', 'studio', 'court', 'company'
+  ],
+  'publisher-place': ['place'],
+  'event': ['conferenceName', 'meetingName'],
+  'archive': ['archive'],
+  'archive_location': ['archiveLocation'],
+  'call-number': ['callNumber'],
+  'source': ['libraryCatalog'],
+  'language': ['language'],
+  'rights': ['rights'],
+  'abstract': ['abstractNote'],
+  'note': ['extra'],
+  'ISBN': ['ISBN'],
+  'ISSN': ['ISSN'],
+  'DOI': ['DOI'],
+  'URL': ['url']
+};
+
+// Zotero creator types and their CSL name variables;
+// all other creators are exported as authors.
+var CREATORS = {
+  author: 'author',
+  contributor: 'contributor',
+  editor: 'editor',
+  seriesEditor: 'collection-editor',
+  translator: 'translator',
+  bookAuthor: 'container-author',
+  reviewedAuthor: 'reviewed-author',
+  recipient: 'recipient',
+  interviewer: 'interviewer',
+  director: 'director',
+  composer: 'composer',
+  illustrator: 'illustrator'
+};
+
+// CSL date variables and their Zotero fields.
+var DATES = {
+  issued: 'date',
+  accessed: 'accessDate'
+};
+
+// Matches ISO dates (e.g., `2014-03-01` or `2014-03`).
+var ISO = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?(?:[ T]|$)/;
+
+
+// --- Private Helpers ---
+
+function name(creator) {
+  if (creator.name) return { literal: creator.name };
+
+  var result = { family: creator.lastName };
+  if (creator.firstName) result.given = creator.firstName;
+
+  return result;
+}
+
+/**
+ * Converts Zotero dates to CSL dates: ISO dates
+ * (e.g., `2014-03-01` or `2014-03`) are converted to
+ * `date-parts`. For all other dates, the `date-parts`
+ * are taken from Zotero's parsed date, if available,
+ * or else from the year, and the original date is
+ * kept as `raw`.
+ */
+function date(value, parsed) {
+  var m = ISO.exec(value), result;
+
+  if (m || (m = ISO.exec(parsed || ''))) {
+    result = {
+      'date-parts': [
+        m.slice(1, 4).map(Number).filter(function (p) { return p > 0; })
+      ]
+    };
+
+    if (!ISO.test(value)) result.raw = value;
+
+    return result;
+  }
+
+  m = (/\b(\d{4})\b/).exec(value);
+
+  return m ?
+    { 'date-parts': [[Number(m[1])]], 'raw': value } :
+    { literal: value };
+}
+
+/**
+ * Converts a Zotero item to a CSL-JSON item.
+ */
+function convert(item) {
+  var data = item.data;
+  var csl = { id: item.key, type: TYPES[data.itemType] || 'article' };
+
+  Object.keys(VARIABLES).forEach(function (variable) {
+    var value = VARIABLES[variable]
+      .map(function (field) { return data[field]; })
+      .filter(Boolean)[0];
+
+    if (value) csl[variable] = value;
+  });
+
+  (data.creators || []).forEach(function (creator) {
+    var variable = CREATORS[creator.creatorType] || 'author';
+    (csl[variable] = csl[variable] || []).push(name(creator));
+  });
+
+  // Zotero parses only the item's date field!
+  Object.keys(DATES).forEach(function (variable) {
+    var field = DATES[variable], value = data[field];
+
+    if (value) {
+      csl[variable] = date(value,
+        (field === 'date' && item.meta) ? item.meta.parsedDate : null);
+    }
+  });
+
+  if (data.tags && data.tags.length) {
+    csl.keyword = data.tags
+      .map(function (t) { return t.tag; }).join(', ');
+  }
+
+  return csl;
+}
+
+function stringify(data) {
+  return JSON.stringify(data, null, 2) + '\n';
+}
+
+
+// Updates the CSL-JSON array in `file`; items keep
+// their position in the array. After a full sync, the
+// array is regenerated.
+var update = co(function* (file, items, deleted, full) {
+  var list = full ? [] : JSON.parse((yield util.read(file)) || '[]');
+
+  var positions = {};
+
+  list = list.filter(function (csl) {
+    return deleted.indexOf(csl.id) === -1;
+  });
+
+  list.forEach(function (csl, idx) { positions[csl.id] = idx; });
+
+  items.forEach(function (csl) {
+    if (positions.hasOwnProperty(csl.id))
+      list[positions[csl.id]] = csl;
+    else
+      positions[csl.id] = list.push(csl) - 1;
+  });
+
+  yield write(file, stringify(list));
+
+  return list.length;
+});
+
+// Writes each item to `<dir>/<key>.json`. After a full
+// sync, all files of items which no longer exist are
+// removed as well.
+var split = co(function* (dir, items, deleted, full) {
+  if (full) {
+    var ids = items.map(function (csl) { return csl.id + '.json'; });
+    var files = (yield fs.readdirAsync(dir).catch(ignore('ENOENT'))) || [];
+
+    deleted = deleted.concat(files
+      .filter(function (f) { return (/\.json$/).test(f); })
+      .filter(function (f) { return ids.indexOf(f) === -1; })
+      .map(function (f) { return f.slice(0, -5); }));
+  }
+
+  yield B.map(deleted, function (key) {
+    return fs
+      .unlinkAsync(join(dir, key + '.json'))
+      .catch(ignore('ENOENT'));
+  });
+
+  yield B.map(items, function (csl) {
+    return write(join(dir, csl.id + '.json'), stringify(csl));
+  });
+
+  return items.length;
+});
+
+
+module.exports = {
+  name: 'csl',
+
+  description:
+    'Keeps a CSL-JSON file (e.g., for Pandoc) up to date ' +
+    'with all regular items of the subscription.',
+
+  parameters: {
+    type: 'object',
+    required: ['path'],
+    properties: {
+      path: {
+        type: 'string',
+        description:
+          'The path of the CSL-JSON file (or the directory, ' +
+          'if items are written to separate files).'
+      },
+      split: {
+        type: 'boolean',
+        default: false,
+        description: 'Write each item to a separate file.'
+      }
+    }
+  },
+
+  process: co(function* (sync) {
+    var path = this.options.path;
+
+    var items = sync.created
+      .concat(sync.updated)
+      .map(function (key) { return sync.items[key]; })
+      .filter(citable)
+      .map(convert);
+
+    debug('writing %d item(s) to %s...', items.length, path);
+
+    var count = yield (this.options.split ? split : update)(
+      path, items, sync.deleted, !sync.subscription.version);
+
+    debug('%d item(s) written to %s', count, path);
+  })
+};
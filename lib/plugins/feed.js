@@ -0,0 +1,218 @@
+'use strict';
+
+// --- Dependencies ---
+var debug = require('debug')('arkivo:plugins:feed');
+
+var B  = require('bluebird');
+var co = B.coroutine.bind(B);
+
+var util = require('./util');
+
+var citable = util.citable;
+var escape = util.escape;
+var write = util.write;
+
+
+var ZOTERO = 'https://www.zotero.org';
+
+
+// --- Private Helpers ---
+
+function element(name, value) {
+  return '<' + name + '>' + escape(value) + '</' + name + '>';
+}
+
+function timestamp(value) {
+  var time = Date.parse(value);
+  return new Date(isNaN(time) ? Date.now() : time).toISOString();
+}
+
+// Returns the item's web library URL; it is
+// used as the link and as the id of each entry.
+function permalink(item, library) {
+  return ZOTERO + library + '/items/' + item.key;
+}
+
+/**
+ * Converts a Zotero item to a feed entry; entries are
+ * stored in the plugin's state, so they contain only
+ * the data needed to render the feeds.
+ */
+function entry(item, library) {
+  var data = item.data, links = item.links || {};
+  var id = permalink(item, library);
+
+  return {
+    key: item.key,
+    id: id,
+    title: data.title || item.key,
+    creators: (data.creators || []).map(function (c) {
+      return c.name || [c.firstName, c.lastName].filter(Boolean).join(' ');
+    }),
+    summary: data.abstractNote || '',
+    link: (links.alternate && links.alternate.href) || data.url || id,
+    added: timestamp(data.dateAdded),
+    updated: timestamp(data.dateModified || data.dateAdded)
+  };
+}
+
+// Sorts entries by the date they were added (newest first).
+function compare(a, b) {
+  return a.added < b.added ? 1 : (a.added > b.added ? -1 : 0);
+}
+
+function atom(feed, entries) {
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    element('id', feed.link),
+    element('title', feed.title),
+    '<link href="' + escape(feed.link) + '"/>',
+    element('updated', feed.updated),
+    element('generator', 'Arkivo')
+  ].concat(entries.map(function (e) {
+    return [
+      '<entry>',
+      element('id', e.id),
+      element('title', e.title),
+      '<link href="' + escape(e.link) + '"/>',
+      element('published', e.added),
+      element('updated', e.updated)
+    ].concat(
+      e.creators.map(function (name) {
+        return '<author>' + element('name', name) + '</author>';
+      }),
+      e.summary ? element('summary', e.summary) : [],
+      '</entry>'
+    ).join('\n');
+  }), '</feed>', '').join('\n');
+}
+
+function rss(feed, entries) {
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<rss version="2.0" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '<channel>',
+    element('title', feed.title),
+    element('link', feed.link),
+    element('description', feed.title),
+    element('lastBuildDate', new Date(feed.updated).toUTCString()),
+    element('generator', 'Arkivo')
+  ].concat(entries.map(function (e) {
+    return [
+      '<item>',
+      element('guid', e.id),
+      element('title', e.title),
+      element('link', e.link),
+      element('pubDate', new Date(e.added).toUTCString())
+    ].concat(
+      e.creators.map(function (name) { return element('dc:creator', name); }),
+      e.summary ? element('description', e.summary) : [],
+      '</item>'
+    ).join('\n');
+  }), '</channel>', '</rss>', '').join('\n');
+}
+
+/**
+ * Merges the session's changes into the list of entries:
+ * created items are added, updated items replace their
+ * existing entries and deleted items are removed. Only
+ * the most recent `limit` entries are kept.
+ */
+function merge(entries, sync, limit) {
+  var library = sync.subscription.library, positions = {};
+
+  function items(list) {
+    return list
+      .map(function (key) { return sync.items[key]; })
+      .filter(citable)
+      .map(function (item) { return entry(item, library); });
+  }
+
+  entries = entries.filter(function (e) {
+    return sync.deleted.indexOf(e.key) === -1;
+  });
+
+  entries.forEach(function (e, idx) { positions[e.key] = idx; });
+
+  items(sync.updated).forEach(function (e) {
+    if (positions.hasOwnProperty(e.key)) entries[positions[e.key]] = e;
+  });
+
+  items(sync.created).forEach(function (e) {
+    if (positions.hasOwnProperty(e.key))
+      entries[positions[e.key]] = e;
+    else
+      positions[e.key] = entries.push(e) - 1;
+  });
+
+  return entries.sort(compare).slice(0, limit);
+}
+
+
+module.exports = {
+  name: 'feed',
+
+  description:
+    'Keeps an Atom (and, optionally, an RSS 2.0) feed file ' +
+    'up to date with the items most recently added to the ' +
+    'subscription\'s library.',
+
+  parameters: {
+    type: 'object',
+    required: ['path'],
+    properties: {
+      path: {
+        type: 'string',
+        description: 'The path of the Atom feed file.'
+      },
+      rss: {
+        type: 'string',
+        description: 'The path of the RSS 2.0 feed file (optional).'
+      },
+      title: {
+        type: 'string',
+        default: 'Recently added items',
+        description: 'The title of the feed.'
+      },
+      link: {
+        type: 'string',
+        description:
+          'The link of the feed; defaults to the library\'s ' +
+          'page on zotero.org.'
+      },
+      limit: {
+        type: 'integer',
+        minimum: 1,
+        default: 20,
+        description: 'The max. number of entries.'
+      }
+    }
+  },
+
+  process: co(function* (sync) {
+    var options = this.options, state = sync.state(this);
+
+    // The entry history is kept in the plugin's state;
+    // after a full sync, the feed is rebuilt from scratch.
+    var entries = (sync.subscription.version &&
+      (yield state.get('entries'))) || [];
+
+    entries = merge(entries, sync, options.limit || 20);
+
+    var feed = {
+      title: options.title || 'Recently added items',
+      link: options.link || ZOTERO + sync.subscription.library,
+      updated: entries.length ?
+        entries.map(function (e) { return e.updated; }).sort().pop() :
+        new Date().toISOString()
+    };
+
+    debug('writing %d entries to %s...', entries.length, options.path);
+
+    yield write(options.path, atom(feed, entries));
+    if (options.rss) yield write(options.rss, rss(feed, entries));
+
+    yield state.set('entries', entries);
+  })
+};
@@ -1,78 +1,15 @@
 'use strict';
 
 // --- Dependencies ---
-var assert = require('assert');
-var fs = require('fs-extra');
-var join = require('path').join;
-
 var debug = require('debug')('arkivo:plugins:fs');
 
 var B  = require('bluebird');
 var co = B.coroutine.bind(B);
 
-B.promisifyAll(fs);
-
-
-function Store(root) {
-  assert(typeof root === 'string');
-  this.root  = root;
-}
-
-Store.prototype.mkdir = function (path) {
-  path = join(this.root, path || '');
-  debug('mkdir %s', path);
-
-  return fs
-    .mkdirpAsync(path)
-    .return(path)
+var extend = require('../common').extend;
 
-    .catch(function (error) {
-      if (error.cause.code === 'EEXIST')
-        return path;
-
-      throw error;
-    });
-};
-
-Store.prototype.save = function (item) {
-  return this
-    .mkdir(item.data.parentItem || item.key)
-
-    .then(function (path) {
-      var jobs = [
-        [join(path, item.key + '.json'), JSON.stringify(item), 'utf-8']
-      ];
-
-      if (item.attachment) {
-        jobs.push(
-          item.attachment.then(function (data) {
-            return [
-              join(path, item.data.filename || (item.key + '.data')),
-              data
-            ];
-          })
-        );
-      }
-
-      return jobs;
-    })
-
-    .each(function (args) {
-      return fs.writeFileAsync.apply(fs, args);
-    });
-};
-
-Store.prototype.remove = function (key) {
-  return fs
-    .unlinkAsync(join(this.root, key, key + '.json'))
-
-    .catch(function (error) {
-      if (error.cause.code === 'ENOENT')
-        return true;
-
-      throw error;
-    });
-};
+var Store    = require('./store');
+var Template = require('./template');
 
 
 module.exports = {
@@ -84,49 +21,72 @@ module.exports = {
     'single parameter to set the root directory.',
 
   parameters: {
-    root: {
-      mandatory: true,
-      description: 'The storage root directory.'
+    type: 'object',
+    required: ['root'],
+    properties: {
+      root: {
+        type: 'string',
+        description: 'The storage root directory.'
+      },
+      layout: {
+        type: 'string',
+        default: '{key}',
+        description:
+          'The directory of each top-level item; child items ' +
+          'are stored in their parent\'s directory. Available ' +
+          'variables: ' + Object.keys(Template.variables).join(', ') +
+          ' (e.g., "{collection}/{year}-{firstAuthor}-{shortTitle}").'
+      },
+      filename: {
+        type: 'string',
+        default: '{key}',
+        description: 'The name of each item\'s metadata file.'
+      },
+      clean: {
+        type: 'boolean',
+        default: false,
+        description:
+          'Remove the root directory when the subscription ' +
+          'is removed or reset.'
+      }
     }
   },
 
-  // In this example the plugin uses Bluebird.couroutine
-  // which returns a Promise, therefore, we do not need
-  // to use the `done` callback at all.
-  process: co(function* (sync) {
-    debug('processing subscription "%s"', sync.id);
+  // Checks the layout templates when the plugin is
+  // configured (i.e., before the subscription is saved).
+  validate: Store.validate,
 
-    var store = new Store(this.options.root);
-    var library = sync.subscription.library;
+  // Lifecycle hooks are optional; like `process`, they
+  // may either return a Promise or call the callback.
+  subscribed: function (subscription, done) {
+    var options = this.options;
 
-    // Ensure that the root directory exists!
-    yield store.mkdir();
-
-    debug('removing %d item(s)...', sync.deleted.length);
-
-    yield B.map(sync.deleted, store.remove.bind(store));
-
-    var items = sync.created
-      .concat(sync.updated)
-      .map(function (key) { return sync.items[key]; });
+    B.try(function () { return new Store(options.root, options).mkdir(); })
+      .asCallback(done);
+  },
 
-    debug('saving %d item(s)...', items.length);
+  unsubscribed: function () {
+    if (!this.options.clean) return null;
+    return new Store(this.options.root).clear();
+  },
 
-    // Save all new and updated items..
-    yield B.map(items, function (item) {
+  reset: function () {
+    if (!this.options.clean) return null;
+    return new Store(this.options.root).clear();
+  },
 
-      // Download attachments
-      if (item.data.itemType === 'attachment') {
-        item.attachment = sync
-          .get(join(library, 'items', item.key, 'file'))
+  // In this example the plugin uses Bluebird.couroutine
+  // which returns a Promise, therefore, we do not need
+  // to use the `done` callback at all.
+  process: co(function* (sync) {
+    debug('processing subscription "%s"', sync.id);
 
-          .then(function (message) {
-            return message.data;
-          });
-      }
+    var store = yield new Store(this.options.root, extend({
+      subscription: sync.subscription,
+      plugin: this
+    }, this.options)).load();
 
-      return store.save(item);
-    });
+    yield store.update(sync);
 
     // That's it! We can return here (or just return
     // undefined) and the Promise will be resolved.
@@ -0,0 +1,191 @@
+'use strict';
+
+// --- Dependencies ---
+var execFile = require('child_process').execFile;
+var fs = require('fs-extra');
+var join = require('path').join;
+
+var debug = require('debug')('arkivo:plugins:git');
+
+var B  = require('bluebird');
+var co = B.coroutine.bind(B);
+
+var extend = require('../common').extend;
+
+var Store = require('./store');
+var util = require('./util');
+
+B.promisifyAll(fs);
+
+
+// The store's internal files must never be committed;
+// the index changes with every session and would only
+// add noise to the diffs.
+var EXCLUDE = ['.staging', '.journal.json', '*.tmp', '/index.json'];
+
+
+function git(root, args, env) {
+  debug('git %s', args.join(' '));
+
+  return new B(function (resolve, reject) {
+    execFile('git', args, {
+      cwd: root,
+      env: extend({}, process.env, env)
+    }, function (error, stdout, stderr) {
+      if (error) {
+        error.stderr = stderr;
+        return reject(error);
+      }
+
+      resolve(stdout);
+    });
+  });
+}
+
+// Parses the author option (e.g., "Arkivo <arkivo@localhost>")
+// and returns the git author and committer environment.
+function identity(author) {
+  var m = (/^\s*(.*?)\s*<([^>]*)>\s*$/).exec(author || '');
+  var name = m ? m[1] : author, email = m ? m[2] : '';
+
+  return {
+    GIT_AUTHOR_NAME: name,
+    GIT_AUTHOR_EMAIL: email,
+    GIT_COMMITTER_NAME: name,
+    GIT_COMMITTER_EMAIL: email
+  };
+}
+
+// Initializes the repository unless it exists already
+// and adds the store's files to the repository's excludes
+// (keeping all existing excludes).
+var init = co(function* (root) {
+  var file = join(root, '.git', 'info', 'exclude');
+
+  yield fs.mkdirpAsync(root);
+
+  if (!fs.existsSync(join(root, '.git'))) {
+    debug('initializing repository at %s', root);
+    yield git(root, ['init', '--quiet']);
+  }
+
+  var text = yield util.read(file);
+  var lines = text.split('\n');
+
+  var missing = EXCLUDE.filter(function (pattern) {
+    return lines.indexOf(pattern) === -1;
+  });
+
+  if (!missing.length) return;
+
+  if (text && text[text.length - 1] !== '\n') text += '\n';
+  yield util.write(file, text + missing.join('\n') + '\n');
+
+  // Stop tracking files committed before they were excluded!
+  yield git(root, ['rm', '--cached', '--quiet', '--ignore-unmatch',
+    '--', 'index.json']);
+});
+
+// Serializes items as pretty-printed JSON with
+// sorted keys, so that diffs stay readable.
+function serialize(item) {
+  return JSON.stringify(sort(item), null, 2) + '\n';
+}
+
+function sort(value) {
+  if (Array.isArray(value)) return value.map(sort);
+  if (value === null || typeof value !== 'object') return value;
+
+  return Object.keys(value).sort().reduce(function (sorted, key) {
+    sorted[key] = sort(value[key]);
+    return sorted;
+  }, {});
+}
+
+function message(sync) {
+  return [
+    'Sync ' + sync.subscription.library + ' to version ' + sync.version,
+    '',
+    [
+      sync.created.length + ' created',
+      sync.updated.length + ' updated',
+      sync.deleted.length + ' deleted'
+    ].join(', ')
+  ].join('\n');
+}
+
+
+module.exports = {
+  name: 'git',
+
+  description:
+    'Synchronizes Zotero items into a local git repository ' +
+    'as pretty-printed JSON and commits each session.',
+
+  parameters: {
+    type: 'object',
+    required: ['root'],
+    properties: {
+      root: {
+        type: 'string',
+        description:
+          'The repository directory; it will be initialized ' +
+          'if it is not a git repository yet.'
+      },
+      layout: {
+        type: 'string',
+        default: '{key}',
+        description: 'The directory of each top-level item ' +
+          '(see the fs plugin).'
+      },
+      filename: {
+        type: 'string',
+        default: '{key}',
+        description: 'The name of each item\'s metadata file.'
+      },
+      author: {
+        type: 'string',
+        default: 'Arkivo <arkivo@localhost>',
+        description: 'The author and committer of all commits.'
+      }
+    }
+  },
+
+  // Checks the layout templates when the plugin is configured.
+  validate: Store.validate,
+
+  subscribed: function () {
+    return init(this.options.root);
+  },
+
+  process: co(function* (sync) {
+    var root = this.options.root;
+
+    debug('processing subscription "%s"', sync.subscription.id);
+
+    yield init(root);
+
+    var store = yield new Store(root, extend({
+      subscription: sync.subscription,
+      serialize: serialize,
+      plugin: this
+    }, this.options)).load();
+
+    yield store.update(sync);
+
+    util.check(this);
+
+    yield git(root, ['add', '--all', '.']);
+
+    // Commit only if the session changed anything!
+    var status = yield git(root, ['status', '--porcelain']);
+
+    if (!status.trim()) {
+      debug('nothing to commit');
+      return;
+    }
+
+    yield git(root, ['commit', '--quiet', '--no-verify',
+      '--message', message(sync)], identity(this.options.author));
+  })
+};
@@ -0,0 +1,499 @@
+'use strict';
+
+// --- Dependencies ---
+var crypto = require('crypto');
+var fs = require('fs-extra');
+var join = require('path').join;
+var dirname = require('path').dirname;
+
+var debug = require('debug')('arkivo:plugins:html');
+
+var B  = require('bluebird');
+var co = B.coroutine.bind(B);
+
+var Template = require('./template');
+var util = require('./util');
+
+var check = util.check;
+var code = util.code;
+var downloadable = util.downloadable;
+var escape = util.escape;
+var write = util.write;
+
+var keys = Object.keys;
+
+B.promisifyAll(fs);
+
+
+// The site database; it keeps the data of all items
+// so that index, tag and collection pages can be
+// rendered without downloading the whole library.
+var DATABASE = 'site.json';
+
+// The max. number of attachments copied in parallel.
+var CONCURRENCY = 4;
+
+var STYLE = [
+  'body { font-family: sans-serif; max-width: 50em; margin: 2em auto; }',
+  'h2 { border-bottom: 1px solid #ccc; }',
+  'li { margin-bottom: .5em; }',
+  '.meta { color: #666; }'
+].join('\n');
+
+
+/**
+ * A Site renders a bibliography as static HTML pages.
+ * All pages affected by a change are marked as dirty
+ * and rendered when the site is saved. If the passed-in
+ * plugin is cancelled, the site stops writing files.
+ */
+function Site(root, title, plugin) {
+  this.root = root;
+  this.title = title;
+  this.plugin = plugin;
+
+  this.items = {};
+  this.attachments = {};
+  this.collections = {};
+
+  this.dirty = { items: {}, tags: {}, collections: {} };
+
+  // Pages and attachment files to remove, and the old
+  // file names of renamed attachments.
+  this.removed = { pages: {}, files: {} };
+  this.renamed = {};
+}
+
+Site.prototype.load = co(function* () {
+  var data = {};
+
+  try {
+    data = JSON.parse(
+      yield fs.readFileAsync(join(this.root, DATABASE), 'utf-8'));
+
+  } catch (error) {
+    if (code(error) !== 'ENOENT') throw error;
+  }
+
+  this.items = data.items || {};
+  this.attachments = data.attachments || {};
+  this.collections = data.collections || {};
+
+  return this;
+});
+
+Site.prototype.touch = function (item) {
+  if (!item) return this;
+
+  this.dirty.items[item.key] = true;
+
+  (item.data.tags || []).forEach(function (t) {
+    this.dirty.tags[t.tag] = true;
+  }, this);
+
+  (item.data.collections || []).forEach(function (c) {
+    this.dirty.collections[c] = true;
+  }, this);
+
+  return this;
+};
+
+Site.prototype.name = function (collections) {
+  var names = this.collections, dirty = this.dirty.collections;
+
+  keys(collections.items).forEach(function (key) {
+    var collection = collections.items[key];
+
+    names[key] = (collection.data || collection).name;
+    dirty[key] = true;
+  });
+
+  collections.deleted.forEach(function (key) {
+    delete names[key];
+    dirty[key] = true;
+  });
+
+  return this;
+};
+
+Site.prototype.add = function (item) {
+  var data = item.data;
+
+  if (data.itemType === 'note') return this;
+
+  if (data.itemType === 'attachment') {
+    if (!data.parentItem) return this;
+
+    // Only attachments with stored files are listed;
+    // linked files and URLs cannot be downloaded.
+    if (!downloadable(item)) return this.remove(item.key);
+
+    var old = this.attachments[item.key];
+
+    if (old && filename(old) !== filename(data))
+      this.renamed[item.key] = filename(old);
+
+    this.remove(item.key);
+    delete this.removed.files[item.key];
+
+    this.attachments[item.key] = {
+      key: item.key,
+      parent: data.parentItem,
+      title: data.title,
+      filename: data.filename
+    };
+
+    this.dirty.items[data.parentItem] = true;
+
+    return this;
+  }
+
+  if (data.parentItem) return this;
+
+  // Touch the old version, too: its tags and
+  // collections pages have to be updated!
+  this.touch(this.items[item.key]);
+  this.items[item.key] = { key: item.key, data: data };
+  this.touch(this.items[item.key]);
+
+  delete this.removed.pages[join('items', item.key + '.html')];
+
+  return this;
+};
+
+Site.prototype.remove = function (key) {
+  var attachment = this.attachments[key], item = this.items[key];
+
+  if (attachment) {
+    delete this.attachments[key];
+
+    this.removed.files[key] = true;
+    this.dirty.items[attachment.parent] = true;
+  }
+
+  if (item) {
+    this.touch(item);
+    delete this.items[key];
+
+    this.removed.pages[join('items', key + '.html')] = true;
+  }
+
+  return this;
+};
+
+// Removes all items and attachments.
+Site.prototype.clear = function () {
+  keys(this.items).forEach(this.remove, this);
+  keys(this.attachments).forEach(this.remove, this);
+
+  return this;
+};
+
+// Returns all attachments of the passed-in item.
+Site.prototype.children = function (key) {
+  var attachments = this.attachments;
+
+  return keys(attachments)
+    .map(function (k) { return attachments[k]; })
+    .filter(function (a) { return a.parent === key; });
+};
+
+Site.prototype.list = function (filter) {
+  var items = this.items;
+
+  return keys(items)
+    .map(function (key) { return items[key]; })
+    .filter(filter || Boolean)
+    .sort(compare);
+};
+
+Site.prototype.save = co(function* () {
+  var self = this, dirty = this.dirty, pages = [];
+
+  pages.push(['index.html', this.render(this.title, this.list(), '')]);
+
+  keys(dirty.items).forEach(function (key) {
+    if (self.items[key])
+      pages.push([join('items', key + '.html'), self.page(self.items[key])]);
+  });
+
+  keys(dirty.tags).forEach(function (tag) {
+    var file = join('tags', tagname(tag) + '.html');
+    var items = self.list(function (item) {
+      return (item.data.tags || []).some(function (t) {
+        return t.tag === tag;
+      });
+    });
+
+    if (items.length)
+      pages.push([file, self.render('Tag: ' + tag, items, '../')]);
+    else
+      self.removed.pages[file] = true;
+  });
+
+  keys(dirty.collections).forEach(function (key) {
+    var file = join('collections', key + '.html');
+    var items = self.list(function (item) {
+      return (item.data.collections || []).indexOf(key) !== -1;
+    });
+
+    if (items.length)
+      pages.push([file, self.render(
+        'Collection: ' + (self.collections[key] || key), items, '../')]);
+    else
+      self.removed.pages[file] = true;
+  });
+
+  debug('rendering %d page(s)...', pages.length);
+
+  yield B.each(pages, function (page) {
+    check(self.plugin);
+    return write(join(self.root, page[0]), page[1]);
+  });
+
+  check(this.plugin);
+
+  yield B.each(keys(this.removed.pages).concat(
+    keys(this.removed.files).map(function (key) {
+      return join('files', key);
+    })
+  ), function (file) {
+    return fs.removeAsync(join(self.root, file));
+  });
+
+  yield write(join(this.root, DATABASE), JSON.stringify({
+    items: this.items,
+    attachments: this.attachments,
+    collections: this.collections
+  }));
+
+  return this;
+});
+
+// Copies the attachment's file from the session's cache;
+// unchanged files are not downloaded again, but they
+// may have to be renamed.
+Site.prototype.download = co(function* (item, file) {
+  var path = join(this.root, 'files', item.key, filename(item.data));
+
+  if (!file) {
+    if (this.renamed[item.key]) {
+      yield fs.moveAsync(
+        join(dirname(path), this.renamed[item.key]), path, { clobber: true });
+    }
+
+    return this;
+  }
+
+  yield fs.removeAsync(dirname(path));
+  yield fs.mkdirpAsync(dirname(path));
+  yield fs.copyAsync(file, path, { preserveTimestamps: true });
+
+  return this;
+});
+
+// Renders a list of items grouped by year.
+Site.prototype.render = function (title, items, base) {
+  var groups = {}, years = [];
+
+  // Items are sorted by date already!
+  items.forEach(function (item) {
+    var y = year(item) || 'Undated';
+
+    if (!groups[y]) years.push(y);
+    (groups[y] = groups[y] || []).push(item);
+  });
+
+  return layout(title, base, years.map(function (y) {
+    return '<h2>' + escape(y) + '</h2>\n<ul>\n' +
+      groups[y].map(function (item) {
+        return '<li>' + summary(item, base) + '</li>';
+      }).join('\n') + '\n</ul>';
+  }).join('\n'));
+};
+
+Site.prototype.page = function (item) {
+  var data = item.data, collections = this.collections;
+  var body = [];
+
+  body.push('<p class="meta">' + escape(creators(item)) + '</p>');
+
+  body.push('<dl>');
+  [
+    ['Type', data.itemType],
+    ['Date', data.date],
+    ['Publication', data.publicationTitle || data.bookTitle],
+    ['Publisher', data.publisher],
+    ['DOI', data.DOI]
+  ].forEach(function (field) {
+    if (field[1])
+      body.push('<dt>' + field[0] + '</dt><dd>' + escape(field[1]) + '</dd>');
+  });
+
+  // Only web URLs are linked: other schemes
+  // (e.g., `javascript:`) are printed as text.
+  if (data.url) {
+    body.push('<dt>URL</dt><dd>' + ((/^https?:\/\//i).test(data.url) ?
+      '<a href="' + escape(data.url) + '">' + escape(data.url) + '</a>' :
+      escape(data.url)) + '</dd>');
+  }
+
+  body.push('</dl>');
+
+  if (data.abstractNote)
+    body.push('<p>' + escape(data.abstractNote) + '</p>');
+
+  links(body, 'Attachments', this.children(item.key), function (a) {
+    return '<a href="../files/' + encodeURIComponent(a.key) + '/' +
+      encodeURIComponent(filename(a)) + '">' +
+      escape(a.title || a.filename) + '</a>';
+  });
+
+  links(body, 'Tags', data.tags || [], function (t) {
+    return '<a href="../tags/' + tagname(t.tag) + '.html">' +
+      escape(t.tag) + '</a>';
+  });
+
+  links(body, 'Collections', data.collections || [], function (c) {
+    return '<a href="../collections/' + encodeURIComponent(c) + '.html">' +
+      escape(collections[c] || c) + '</a>';
+  });
+
+  return layout(data.title || item.key, '../', body.join('\n'));
+};
+
+
+// --- Private Helpers ---
+
+function year(item) {
+  var m = (/\b(\d{4})\b/).exec(item.data.date || '');
+  return m && m[1];
+}
+
+// Sorts items by year (newest first; undated items
+// last) and title.
+function compare(a, b) {
+  var ya = year(a) || '0', yb = year(b) || '0';
+
+  if (ya !== yb) return ya < yb ? 1 : -1;
+
+  return (a.data.title || '').localeCompare(b.data.title || '');
+}
+
+// Tag page names consist of the tag's slug and a
+// short hash, because different tags (e.g., `C++`
+// and `C#`) may have the same slug.
+function tagname(tag) {
+  return Template.slug(tag) + '-' +
+    crypto.createHash('md5').update(tag).digest('hex').slice(0, 8);
+}
+
+function filename(attachment) {
+  return Template.slug(attachment.filename || 'file', 128);
+}
+
+function creators(item) {
+  return (item.data.creators || []).map(function (c) {
+    return c.name || [c.firstName, c.lastName].filter(Boolean).join(' ');
+  }).join(', ');
+}
+
+function summary(item, base) {
+  return [
+    escape(creators(item)),
+    '<a href="' + base + 'items/' + encodeURIComponent(item.key) + '.html">' +
+      escape(item.data.title || item.key) + '</a>',
+    escape(item.data.publicationTitle || item.data.publisher || '')
+  ].filter(Boolean).join('. ');
+}
+
+function links(body, heading, list, fn) {
+  if (!list.length) return;
+
+  body.push('<h2>' + heading + '</h2>\n<ul>');
+  list.forEach(function (x) { body.push('<li>' + fn(x) + '</li>'); });
+  body.push('</ul>');
+}
+
+function layout(title, base, body) {
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<title>' + escape(title) + '</title>',
+    '<style>\n' + STYLE + '\n</style>',
+    '</head>',
+    '<body>',
+    '<nav><a href="' + base + 'index.html">Home</a></nav>',
+    '<h1>' + escape(title) + '</h1>',
+    body,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+
+module.exports = {
+  name: 'html',
+
+  description:
+    'Renders the subscription\'s items as a static HTML site ' +
+    'with an index page, item, tag and collection pages and ' +
+    'downloadable attachments.',
+
+  parameters: {
+    type: 'object',
+    required: ['root'],
+    properties: {
+      root: {
+        type: 'string',
+        description: 'The output directory.'
+      },
+      title: {
+        type: 'string',
+        default: 'Bibliography',
+        description: 'The title of the site.'
+      }
+    }
+  },
+
+  process: co(function* (sync) {
+    var site = yield new Site(
+      this.options.root, this.options.title, this).load();
+
+    // After a full sync, the site is rebuilt from scratch;
+    // otherwise only the changed pages are rendered.
+    if (!sync.subscription.version) site.clear();
+
+    site.name(sync.collections);
+
+    sync.deleted.forEach(site.remove, site);
+
+    var items = sync.created
+      .concat(sync.updated)
+      .map(function (key) { return sync.items[key]; });
+
+    items.forEach(site.add, site);
+
+    // Failed downloads do not fail the whole site; files
+    // missing on the server are removed from the site.
+    yield B.map(items, function (item) {
+      if (!site.attachments[item.key]) return null;
+
+      return B.resolve(sync.attachment(item))
+        .then(function (file) { return site.download(item, file); })
+        .catch(function (error) {
+          debug('failed to download attachment %s: %s',
+            item.key, error.message);
+
+          if (error.code === 404) site.remove(item.key);
+        });
+    }, { concurrency: CONCURRENCY });
+
+    yield site.save();
+
+    debug('site updated: %d item(s)', keys(site.items).length);
+  })
+};
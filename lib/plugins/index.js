@@ -2,11 +2,18 @@
 
 // --- Dependencies ---
 var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var inherits = require('util').inherits;
+var EventEmitter = require('events').EventEmitter;
 
 var debug = require('debug')('arkivo:plugin');
 var trace = require('debug')('arkivo:trace');
 
+var B = require('bluebird');
+
 var config = require('../config');
+var Schema = require('./schema');
 var common = require('../common');
 var extend = common.extend;
 
@@ -15,46 +22,139 @@ var keys = Object.keys;
 
 
 function Plugin(desc) {
+  EventEmitter.call(this);
+
   debug('[%s] instance created', desc.name);
   extend(this, desc);
+
+  /**
+   * The id of the plugin's configuration; plugins
+   * used more than once by a subscription have
+   * different ids. Defaults to the plugin's name.
+   *
+   * @property id
+   * @type String
+   */
+  this.id = this.name;
+
+  /**
+   * The reason why the plugin was cancelled (e.g., a
+   * timeout error), or undefined while it may proceed.
+   * Long-running plugins should check this property
+   * or listen for the `cancel` event to stop early
+   * and clean up.
+   *
+   * @property cancelled
+   * @type Error
+   */
+  this.cancelled = undefined;
 }
 
-Plugin.prototype.configure = function (options) {
-  if (!this.parameters) return this;
+inherits(Plugin, EventEmitter);
 
-  debug('[%s] configured with %j', this.name, keys(options));
+/**
+ * Cancels the plugin: sets `cancelled` and
+ * emits a `cancel` event with the reason.
+ *
+ * @method cancel
+ * @chainable
+ *
+ * @param {Error} reason
+ */
+Plugin.prototype.cancel = function (reason) {
+  if (this.cancelled) return this;
 
-  var param, configuration, value;
+  debug('[%s] cancelled: %s', this.name, reason.message);
 
-  options = options || {};
-  this.options = {};
+  this.cancelled = reason;
+  this.emit('cancel', reason);
 
-  for (param in this.parameters) {
-    configuration = this.parameters[param];
+  return this;
+};
 
-    if (configuration.mandatory) {
-      if (!options.hasOwnProperty(param))
-        throw new Error('mandatory parameter missing: ' + param);
+/**
+ * Validates the passed-in options against the plugin's
+ * parameter schema and sets the plugin's `options`.
+ * Plugins may check constraints which cannot be expressed
+ * by the schema in an optional `validate` method, which
+ * is called with the options and throws if they are
+ * not valid.
+ *
+ * @method configure
+ * @chainable
+ *
+ * @param {Object} [options]
+ * @throws {SchemaError} If the options are not valid.
+ */
+Plugin.prototype.configure = function (options) {
+  if (!this.parameters) return this;
 
-      value = options[param];
+  debug('[%s] configured with %j', this.name, keys(options || {}));
 
-    } else {
+  this.options = this.schema.validate(options || {});
 
-      value = options.hasOwnProperty(param) ?
-        options[param] : configuration.default;
+  if (typeof this.validate === 'function') {
+    try {
+      this.validate(this.options);
+    } catch (error) {
+      throw new Schema.SchemaError([error.message]);
+    }
+  }
+
+  return this;
+};
 
+/**
+ * Calls the plugin's `method` with the passed-in arguments
+ * and a callback. Plugin methods may either call the
+ * callback or return a promise; methods which do not
+ * accept a callback argument may also return a plain
+ * value. Missing methods are treated as no-ops.
+ *
+ * @method invoke
+ *
+ * @param {String} method The method name.
+ * @param {Object} [args]* The arguments.
+ *
+ * @return {Promise} The method's result.
+ */
+Plugin.prototype.invoke = function (method) {
+  var self = this, args = Array.prototype.slice.call(arguments, 1);
+
+  if (typeof this[method] !== 'function') return B.resolve();
+
+  // Wrap plugin invocation in a promise; this is
+  // necessary, because we want to allow plugin
+  // authors to choose between promises and callbacks.
+  return new B(function (resolve, reject) {
+    var fn = self[method];
+
+    function callback(error, result) {
+      if (error) return reject(error);
+      resolve(result);
     }
 
-    if (value && configuration.validate && !configuration.validate.test(value))
-      throw new Error('invalid parameter value: ' + value);
+    var done = fn.apply(self, args.concat(callback));
 
-    this.options[param] = value;
-  }
+    if (done && done.then)
+      done.then(resolve, reject);
 
-  return this;
+    else if (fn.length <= args.length)
+      resolve(done);
+  });
 };
 
 properties(Plugin.prototype, {
+  /**
+   * The plugin's parameter schema.
+   *
+   * @property schema
+   * @type Schema
+   */
+  schema: {
+    get: function () { return new Schema(this.parameters); }
+  },
+
   summary: {
     get: function () {
       if (!this.description) return undefined;
@@ -63,7 +163,26 @@ properties(Plugin.prototype, {
   },
   configurable: {
     get: function () {
-      return this.parameters && Object.keys(this.parameters).length > 0;
+      return !!this.parameters && !this.schema.empty;
+    }
+  },
+
+  /**
+   * A simpler representation of the Plugin.
+   * Used for JSON export.
+   *
+   * @property json
+   * @type Object
+   */
+  json: {
+    get: function () {
+      return {
+        name: this.name,
+        summary: this.summary,
+        type: this.type || 'sink',
+        package: this.package,
+        version: this.version
+      };
     }
   }
 });
@@ -90,6 +209,7 @@ properties(Plugins.prototype, {
 
 Plugins.prototype.reset = function () {
   this.available = {};
+  this.modules = this.modules || [];
 };
 
 Plugins.prototype.add = function (desc) {
@@ -106,31 +226,154 @@ Plugins.prototype.add = function (desc) {
   return this;
 };
 
+/**
+ * (Re-)loads all plugins listed in `config.plugins` and,
+ * if discovery is enabled, all plugins provided by
+ * installed NPM packages. Previously loaded plugin modules
+ * are removed from Node's module cache first; therefore,
+ * this method can be used to reload plugins at runtime.
+ *
+ * @method update
+ * @chainable
+ */
 Plugins.prototype.update = function () {
-  var i, ii, plugin;
+  var i, ii, packages;
 
   debug('updating available plugins...');
 
+  this.unload();
   this.reset();
 
   if (config.plugins) {
-    for (i = 0, ii = config.plugins.length; i < ii; ++i) {
-      try {
-        plugin = config.plugins[i];
+    for (i = 0, ii = config.plugins.length; i < ii; ++i)
+      this.load(config.plugins[i]);
+  }
 
-        debug('loading "%s"...', plugin);
-        this.add(require(plugin));
+  if (config.discovery && config.discovery.enabled) {
+    packages = this.discover();
 
-      } catch (error) {
-        debug('failed to load "%s": %s', plugin, error.message);
-        trace(error.stack);
-      }
+    for (i = 0, ii = packages.length; i < ii; ++i)
+      this.load(packages[i].main, packages[i]);
+  }
+
+  return this;
+};
+
+/**
+ * Loads and adds the plugin at the passed-in path.
+ * Errors are logged, but not thrown.
+ *
+ * @method load
+ * @private
+ *
+ * @param {String} id The plugin's module id or path.
+ * @param {Object} [pkg] The plugin's package.
+ *
+ * @return {Boolean} Whether or not the plugin was loaded.
+ */
+Plugins.prototype.load = function (id, pkg) {
+  try {
+    debug('loading "%s"...', id);
+
+    var file = require.resolve(id);
+    var desc = require(file);
+
+    this.modules.push(pkg ? pkg.dir : file);
+
+    if (pkg) {
+      desc = extend({}, desc, {
+        package: pkg.name,
+        version: desc.version || pkg.version
+      });
     }
+
+    this.add(desc);
+
+    return true;
+
+  } catch (error) {
+    debug('failed to load "%s": %s', id, error.message);
+    trace(error.stack);
+
+    return false;
   }
+};
+
+/**
+ * Removes all previously loaded plugin modules
+ * from Node's module cache.
+ *
+ * @method unload
+ * @private
+ * @chainable
+ */
+Plugins.prototype.unload = function () {
+  var modules = this.modules || [];
+
+  keys(require.cache).forEach(function (file) {
+    for (var i = 0, ii = modules.length; i < ii; ++i) {
+      if (file === modules[i] || file.indexOf(modules[i] + path.sep) === 0) {
+        delete require.cache[file];
+        break;
+      }
+    }
+  });
+
+  this.modules = [];
 
   return this;
 };
 
+/**
+ * Looks for installed NPM packages providing Arkivo plugins:
+ * that is, packages whose names start with the configured
+ * prefix (`arkivo-plugin-` by default) or packages declaring
+ * an `arkivo` key in their package.json. The `arkivo` key
+ * may point to the plugin's module (if it is not the
+ * package's main module).
+ *
+ * @method discover
+ *
+ * @param {Array<String>} [dirs] The directories to search;
+ *   defaults to the configured discovery paths or the
+ *   local `node_modules` directories.
+ *
+ * @return {Array<Object>} The packages found.
+ */
+Plugins.prototype.discover = function (dirs) {
+  var options = config.discovery || {};
+  var prefix = options.prefix || 'arkivo-plugin-';
+  var seen = {}, packages = [];
+
+  dirs = dirs ||
+    (options.paths && options.paths.length ? options.paths : defaults());
+
+  dirs.forEach(function (dir) {
+    entries(dir).forEach(function (name) {
+      if (seen[name]) return;
+
+      var pkg = manifest(path.join(dir, name));
+      if (!pkg) return;
+
+      if (pkg.arkivo || path.basename(name).indexOf(prefix) === 0) {
+        seen[name] = true;
+
+        debug('discovered plugin package %s@%s', pkg.name, pkg.version);
+
+        packages.push({
+          name: pkg.name || name,
+          version: pkg.version,
+          dir: path.join(dir, name),
+          main: path.join(dir, name,
+            typeof pkg.arkivo === 'string' ? pkg.arkivo : '')
+        });
+      }
+    });
+  });
+
+  return packages;
+};
+
 Plugins.prototype.remove = function (name) {
   delete this.available[name];
   return this;
@@ -140,6 +383,99 @@ Plugins.prototype.process = function () {
   throw new Error('plugin process not implemented');
 };
 
+/**
+ * Invokes the lifecycle hook `name` of plugins. If a
+ * subscription is passed in, the hook is invoked for each
+ * plugin configured for the subscription (using the
+ * subscription's plugin options); otherwise, the hook
+ * is invoked for all available plugins.
+ *
+ * Available hooks are `setup` and `teardown` (called when
+ * the service is started or stopped), and `subscribed`,
+ * `unsubscribed` and `reset` (called with the subscription
+ * when it is added, removed or reset).
+ *
+ * Failing hooks do not affect other plugins.
+ *
+ * @method hook
+ *
+ * @param {String} name The name of the hook.
+ * @param {Subscription} [subscription]
+ *
+ * @return {Promise<Object>} The errors of all failed
+ *   hooks, indexed by plugin id.
+ */
+Plugins.prototype.hook = function (name, subscription) {
+  var self = this, failed = {};
+
+  var list = subscription ?
+    subscription.plugins :
+    this.names.map(function (n) { return { name: n }; });
+
+  return B
+    .each(list, function (plugin) {
+      var id = plugin.id || plugin.name;
+
+      if (!self.available[plugin.name]) return null;
+
+      return B
+        .try(function () {
+          if (!subscription)
+            return self.use(plugin.name).invoke(name);
+
+          var instance = self.use(plugin.name, plugin.options || {});
+          instance.id = id;
+
+          return instance.invoke(name, subscription);
+        })
+
+        .catch(function (error) {
+          error = error || new Error('unknown error');
+
+          debug('[%s] %s hook failed: %s', id, name, error.message);
+          trace(error.stack);
+
+          failed[id] = error;
+        });
+    })
+
+    .return(failed);
+};
+
+/**
+ * Validates the passed-in list of plugin configurations
+ * (as used by subscriptions). Plugins which are not
+ * available are ignored.
+ *
+ * @method validate
+ * @chainable
+ *
+ * @param {Array<Object>} list The plugin configurations.
+ * @throws {SchemaError} If a configuration is not valid.
+ */
+Plugins.prototype.validate = function (list) {
+  var i, ii, plugin;
+
+  for (i = 0, ii = list.length; i < ii; ++i) {
+    plugin = list[i];
+
+    if (!this.available[plugin.name]) continue;
+
+    try {
+      this.use(plugin.name, plugin.options || {});
+
+    } catch (error) {
+      error.message = [
+        'invalid configuration of plugin', plugin.id || plugin.name
+      ].join(' ') + ': ' + error.message;
+
+      throw error;
+    }
+  }
+
+  return this;
+};
+
 Plugins.prototype.use = function (name, options) {
   var plugin = new Plugin(this.available[name]);
 
@@ -160,6 +496,64 @@ Plugins.prototype.each = function (fn) {
   return this;
 };
 
+// --- Private Helpers ---
+
+// The default discovery paths: the node_modules directory
+// of the current working directory and the directories
+// in which Arkivo and its own dependencies are installed.
+function defaults() {
+  var root = path.resolve(__dirname, '../..');
+  var dirs = [
+    path.join(process.cwd(), 'node_modules'),
+    path.join(root, 'node_modules')
+  ];
+
+  if (path.basename(path.dirname(root)) === 'node_modules')
+    dirs.push(path.dirname(root));
+
+  return dirs.filter(function (dir, idx) {
+    return dirs.indexOf(dir) === idx;
+  });
+}
+
+// Returns the names of all packages in dir
+// (including scoped packages).
+function entries(dir) {
+  var result = [];
+
+  readdir(dir).forEach(function (name) {
+    if (name[0] === '.') return;
+
+    if (name[0] === '@') {
+      readdir(path.join(dir, name)).forEach(function (scoped) {
+        result.push([name, scoped].join('/'));
+      });
+
+    } else {
+      result.push(name);
+    }
+  });
+
+  return result;
+}
+
+function readdir(dir) {
+  try {
+    return fs.readdirSync(dir);
+  } catch (error) {
+    return [];
+  }
+}
+
+function manifest(dir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf-8'));
+  } catch (error) {
+    return null;
+  }
+}
+
 // --- Exports ---
 module.exports = new Plugins();
 module.exports.Plugin = Plugin;
+module.exports.Schema = Schema;
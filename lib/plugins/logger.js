@@ -18,12 +18,19 @@ module.exports = {
     'configures which console method to use (log, '  +
     'info, warn, or error).',
 
+  // Parameters are declared using a JSON Schema-style
+  // object; the subscription's plugin options will be
+  // validated against this schema.
   parameters: {
-    method: {
-      default: 'log',
-      description:
-        'The console method to use (log, info, warn, or error)',
-      validate: /^log|info|warn|error$/
+    type: 'object',
+    properties: {
+      method: {
+        type: 'string',
+        enum: ['log', 'info', 'warn', 'error'],
+        default: 'log',
+        description:
+          'The console method to use (log, info, warn, or error)'
+      }
     }
   },
 
@@ -68,6 +75,13 @@ module.exports = {
 
       header('Deleted');
       sync.deleted.forEach(details);
+
+      // Items which did not pass the subscription's
+      // filter are not included in created or updated.
+      if (sync.filtered.length) {
+        header('Filtered');
+        sync.filtered.forEach(function (key) { print(key); });
+      }
     }
 
     print(
@@ -0,0 +1,282 @@
+'use strict';
+
+// --- Dependencies ---
+var inherits = require('util').inherits;
+
+var properties = Object.defineProperties;
+var keys = Object.keys;
+
+/** @module arkivo */
+
+/**
+ * A Schema describes and validates plugin parameters.
+ * Schemata are declared using a subset of JSON Schema:
+ *
+ * - `type`: string, number, integer, boolean, array,
+ *   object or null (or a list of types)
+ * - `enum`: a list of permitted values
+ * - `default`: the default value
+ * - `pattern`: a regular expression for strings
+ * - `minimum` and `maximum` for numbers
+ * - `properties` and `required` for objects
+ *   (if `additionalProperties` is false, unknown
+ *   properties are rejected)
+ * - `items` for arrays
+ * - `description`
+ *
+ * For backwards compatibility, plain parameter maps of
+ * the form `{ name: { mandatory, default, validate } }`
+ * are converted to object schemata.
+ *
+ * Because plugin options are often passed in as strings
+ * (e.g., on the command line), string values are converted
+ * to numbers and booleans if the schema says so.
+ *
+ * @class Schema
+ * @constructor
+ *
+ * @param {Object} [definition] The schema definition
+ *   or a plain parameter map.
+ */
+function Schema(definition) {
+  this.definition = Schema.normalize(definition);
+}
+
+/**
+ * Converts plain parameter maps to object schemata.
+ *
+ * @method normalize
+ * @static
+ *
+ * @param {Object} [parameters]
+ * @return {Object} The schema definition.
+ */
+Schema.normalize = function (parameters) {
+  if (!parameters) return { type: 'object', properties: {} };
+
+  if (parameters.type === 'object' && parameters.properties)
+    return parameters;
+
+  var schema = { type: 'object', properties: {}, required: [] };
+
+  keys(parameters).forEach(function (name) {
+    var param = parameters[name], property = {};
+
+    keys(param).forEach(function (key) {
+      switch (key) {
+        case 'mandatory':
+          if (param.mandatory) schema.required.push(name);
+          break;
+        case 'validate':
+          property.pattern = param.validate;
+          break;
+        default:
+          property[key] = param[key];
+      }
+    });
+
+    schema.properties[name] = property;
+  });
+
+  return schema;
+};
+
+/**
+ * Validates the passed-in value.
+ *
+ * @method validate
+ *
+ * @param {Object} value
+ * @throws {SchemaError} If the value is not valid.
+ *
+ * @return {Object} A copy of the value with all defaults
+ *   applied and strings converted as necessary.
+ */
+Schema.prototype.validate = function (value) {
+  var errors = [];
+  var result = check(this.definition, value, '', errors);
+
+  if (errors.length) throw new SchemaError(errors);
+
+  return result;
+};
+
+/**
+ * Walks the schema's properties depth-first.
+ *
+ * @method each
+ *
+ * @param {Function} fn Called with each property's
+ *   name, schema, nesting depth and whether or not
+ *   the property is required.
+ */
+Schema.prototype.each = function (fn) {
+  (function walk(schema, depth) {
+    var required = schema.required || [];
+
+    keys(schema.properties || {}).forEach(function (name) {
+      var property = schema.properties[name];
+
+      fn(name, property, depth, required.indexOf(name) !== -1);
+
+      walk(property, depth + 1);
+      if (property.items) walk(property.items, depth + 1);
+    });
+  }(this.definition, 0));
+};
+
+properties(Schema.prototype, {
+  /**
+   * Whether or not the schema declares any properties.
+   *
+   * @property empty
+   * @type Boolean
+   */
+  empty: {
+    get: function () {
+      return !keys(this.definition.properties || {}).length;
+    }
+  }
+});
+
+
+/**
+ * @class SchemaError
+ * @extends Error
+ *
+ * @param {Array<String>} errors The validation errors.
+ */
+function SchemaError(errors) {
+  this.errors = errors;
+  this.message = errors.join('; ');
+  this.name = 'SchemaError';
+
+  Error.captureStackTrace(this, SchemaError);
+}
+
+inherits(SchemaError, Error);
+
+
+// --- Private Helpers ---
+
+var TYPES = {
+  string: function (v) { return typeof v === 'string'; },
+  number: function (v) { return typeof v === 'number' && isFinite(v); },
+  integer: function (v) { return typeof v === 'number' && v % 1 === 0; },
+  boolean: function (v) { return typeof v === 'boolean'; },
+  array: function (v) { return Array.isArray(v); },
+  null: function (v) { return v === null; },
+
+  object: function (v) {
+    return v !== null && typeof v === 'object' && !Array.isArray(v);
+  }
+};
+
+function list(value) {
+  return (value == null) ? [] : [].concat(value);
+}
+
+function label(path) {
+  return path ? '"' + path + '"' : 'value';
+}
+
+function coerce(types, value) {
+  if (typeof value !== 'string') return value;
+
+  if ((types.indexOf('number') !== -1 || types.indexOf('integer') !== -1) &&
+    value !== '' && !isNaN(value))
+    return Number(value);
+
+  if (types.indexOf('boolean') !== -1 && (/^(true|false)$/).test(value))
+    return value === 'true';
+
+  return value;
+}
+
+function check(schema, value, path, errors) {
+  var types = list(schema.type);
+
+  if (value === undefined) {
+    if (!schema.hasOwnProperty('default')) return undefined;
+    value = JSON.parse(JSON.stringify(schema.default));
+  }
+
+  value = coerce(types, value);
+
+  if (types.length && !types.some(function (t) {
+    return TYPES[t] && TYPES[t](value);
+  })) {
+    errors.push(label(path) + ' must be of type ' + types.join(' or '));
+    return value;
+  }
+
+  constrain(schema, value, path, errors);
+
+  if (TYPES.array(value) && schema.items) {
+    return value.map(function (item, idx) {
+      return check(schema.items, item, join(path, idx), errors);
+    });
+  }
+
+  if (TYPES.object(value) && (schema.properties || schema.required))
+    return object(schema, value, path, errors);
+
+  return value;
+}
+
+// Checks the enum, pattern, minimum and maximum constraints.
+function constrain(schema, value, path, errors) {
+  if (schema.enum && !schema.enum.some(function (e) {
+    return JSON.stringify(e) === JSON.stringify(value);
+  })) {
+    errors.push(label(path) + ' must be one of ' +
+      schema.enum.map(JSON.stringify.bind(JSON)).join(', '));
+  }
+
+  if (schema.pattern && typeof value === 'string' &&
+    !(new RegExp(schema.pattern)).test(value)) {
+    errors.push(label(path) + ' has an invalid value: ' + value);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.hasOwnProperty('minimum') && value < schema.minimum)
+      errors.push(label(path) + ' must be at least ' + schema.minimum);
+
+    if (schema.hasOwnProperty('maximum') && value > schema.maximum)
+      errors.push(label(path) + ' must be at most ' + schema.maximum);
+  }
+}
+
+function object(schema, value, path, errors) {
+  var result = {}, props = schema.properties || {};
+
+  list(schema.required).forEach(function (name) {
+    if (value[name] === undefined)
+      errors.push(label(join(path, name)) + ' is required');
+  });
+
+  keys(value).forEach(function (name) {
+    if (props.hasOwnProperty(name)) return;
+
+    if (schema.additionalProperties === false)
+      errors.push(label(join(path, name)) + ' is not permitted');
+    else
+      result[name] = value[name];
+  });
+
+  keys(props).forEach(function (name) {
+    var v = check(props[name], value[name], join(path, name), errors);
+    if (v !== undefined) result[name] = v;
+  });
+
+  return result;
+}
+
+function join(path, name) {
+  return path ? [path, name].join('.') : String(name);
+}
+
+// --- Exports ---
+Schema.SchemaError = SchemaError;
+
+module.exports = Schema;
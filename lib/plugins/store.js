@@ -0,0 +1,700 @@
+'use strict';
+
+// --- Dependencies ---
+var assert = require('assert');
+var fs = require('fs-extra');
+var join = require('path').join;
+var dirname = require('path').dirname;
+
+var debug = require('debug')('arkivo:plugins:store');
+
+var B  = require('bluebird');
+var co = B.coroutine.bind(B);
+
+var extend = require('../common').extend;
+var Template = require('./template');
+var util = require('./util');
+
+var check = util.check;
+var code = util.code;
+var downloadable = util.downloadable;
+
+var properties = Object.defineProperties;
+
+B.promisifyAll(fs);
+
+/** @module arkivo */
+
+/**
+ * The name of the index file in the storage root.
+ * The index records the files written for each item,
+ * so that they can be removed or moved later on.
+ */
+var INDEX = 'index.json';
+
+/**
+ * The name of the journal file in the storage root. All
+ * changes of a session are recorded in the journal before
+ * they are applied; if the journal exists when the store
+ * is loaded, the last session was interrupted and its
+ * changes are applied again.
+ */
+var JOURNAL = '.journal.json';
+
+/**
+ * The directory of all new files which have not
+ * been renamed into place yet.
+ */
+var STAGING = '.staging';
+
+/**
+ * The max. number of items (and thus attachment
+ * downloads and copies) saved in parallel.
+ */
+var CONCURRENCY = 4;
+
+
+/**
+ * A Store keeps a mirror of a Zotero library in a local
+ * directory. Items are written as JSON files to the
+ * directories given by the `layout` template; attachment
+ * files are stored alongside their metadata. All changes
+ * of a synchronization session are journaled and applied
+ * as a unit.
+ *
+ * @class Store
+ * @constructor
+ *
+ * @param {String} root The storage root directory.
+ * @param {Object} [options]
+ * @param {String} [options.layout = '{key}']
+ * @param {String} [options.filename = '{key}']
+ * @param {Function} [options.serialize = JSON.stringify]
+ *   Converts items to the contents of their JSON files.
+ * @param {Subscription} [options.subscription] Used to
+ *   remember the directories of all top-level items.
+ * @param {Plugin} [options.plugin] If the plugin is
+ *   cancelled, the session is aborted before (or, if the
+ *   journal was written already, while) it is committed.
+ */
+function Store(root, options) {
+  assert(typeof root === 'string');
+  this.root  = root;
+
+  options = options || {};
+
+  this.serialize = options.serialize || JSON.stringify;
+
+  this.layout   = new Template(options.layout || '{key}');
+  this.filename = new Template(options.filename || '{key}');
+
+  // The subscription is used to remember the path of
+  // each top-level item, so that renamed items can be
+  // moved instead of being written twice.
+  this.subscription = options.subscription;
+
+  this.plugin = options.plugin;
+
+  // The index maps item keys to the directory, the
+  // names and the files written for them.
+  this.index = {};
+
+  // The names of all known collections by key.
+  this.collections = {};
+
+  // The directories assigned to top-level items
+  // during this session.
+  this.reserved = {};
+
+  // Directories to remove if they are empty.
+  this.stale = {};
+
+  // The operations of the current session; these are
+  // applied as a unit when the session is committed.
+  this.journal = [];
+
+  // The number of files staged in this session.
+  this.staged = 0;
+
+  // The files removed or replaced in this session; their
+  // names are not reused until the session is committed,
+  // so that the session's changes can be applied twice.
+  this.freed = {};
+}
+
+/**
+ * Checks the `layout` and `filename` templates of the
+ * passed-in store options.
+ *
+ * @method validate
+ * @static
+ *
+ * @param {Object} options
+ * @throws {Error} If a template is not valid.
+ */
+Store.validate = function (options) {
+  [options.layout, options.filename].forEach(function (source) {
+    return new Template(source || '{key}');
+  });
+};
+
+Store.prototype.mkdir = function (path) {
+  path = join(this.root, path || '');
+  debug('mkdir %s', path);
+
+  return fs
+    .mkdirpAsync(path)
+    .return(path)
+
+    .catch(function (error) {
+      if (error.cause.code === 'EEXIST')
+        return path;
+
+      throw error;
+    });
+};
+
+Store.prototype.clear = function () {
+  debug('removing %s', this.root);
+  return fs.removeAsync(this.root);
+};
+
+Store.prototype.load = co(function* () {
+  yield this.recover();
+
+  var data = (yield this.read(INDEX)) || {};
+
+  this.index = data.items || {};
+  this.collections = data.collections || {};
+
+  return this;
+});
+
+// Finishes an interrupted session: if the session's
+// journal was written, all its changes are applied;
+// otherwise, all files staged by the session are
+// removed and the archive stays untouched.
+Store.prototype.recover = co(function* () {
+  var journal = yield this.read(JOURNAL);
+
+  if (journal) {
+    debug('finishing interrupted session (%d changes)...',
+      journal.changes.length);
+
+    yield this.apply(journal);
+
+  } else {
+    yield this.rollback();
+  }
+
+  return this;
+});
+
+// Discards all uncommitted changes of the session.
+Store.prototype.rollback = co(function* () {
+  debug('discarding %d changes...', this.journal.length);
+
+  yield fs.removeAsync(join(this.root, STAGING));
+
+  this.journal = [];
+  this.freed = {};
+
+  return this;
+});
+
+Store.prototype.read = co(function* (name) {
+  try {
+    return JSON.parse(
+      yield fs.readFileAsync(join(this.root, name), 'utf-8'));
+
+  } catch (error) {
+    if (code(error) !== 'ENOENT') throw error;
+    return null;
+  }
+});
+
+// Writes the passed-in file atomically, by writing
+// to a temporary file first, which is then renamed.
+Store.prototype.replace = co(function* (name, data) {
+  yield util.write(join(this.root, name), JSON.stringify(data));
+  return this;
+});
+
+// Commits the session: the session's changes and the
+// new index are written to the journal and applied.
+Store.prototype.commit = co(function* () {
+  var journal = {
+    changes: this.journal,
+    index: { items: this.index, collections: this.collections }
+  };
+
+  debug('committing %d changes...', journal.changes.length);
+
+  yield this.replace(JOURNAL, journal);
+  yield this.apply(journal);
+
+  this.journal = [];
+  this.freed = {};
+
+  return this;
+});
+
+// Applies all changes of the passed-in journal; each
+// change can safely be applied more than once.
+Store.prototype.apply = co(function* (journal) {
+  var root = this.root, subscription = this.subscription;
+  var plugin = this.plugin;
+
+  // If the session is cancelled here, the journal
+  // is applied when the store is loaded next time.
+  yield B.each(journal.changes, function (change) {
+    check(plugin);
+
+    switch (change.op) {
+      case 'rename':
+        return rename(join(root, change.from), join(root, change.to));
+
+      case 'move':
+        return move(join(root, change.from), join(root, change.to));
+
+      case 'unlink':
+        return unlink(join(root, change.path));
+
+      case 'remember':
+        return subscription &&
+          subscription.remember(change.id, change.key, change.value);
+
+      case 'forget':
+        return subscription && subscription.forget(change.id, change.key);
+
+      default:
+        throw new Error('unknown journal operation: ' + change.op);
+    }
+  });
+
+  yield this.replace(INDEX, journal.index);
+
+  yield fs.removeAsync(join(root, STAGING));
+  yield fs.removeAsync(join(root, JOURNAL));
+
+  return this;
+});
+
+// Writes the passed-in data (or copies the passed-in
+// file) to the staging directory; the new file will be
+// renamed into place when the session is committed.
+Store.prototype.stage = co(function* (path, data, file) {
+  var tmp = join(STAGING, String(++this.staged));
+
+  yield this.mkdir(STAGING);
+
+  if (file)
+    yield fs.copyAsync(file, join(this.root, tmp),
+      { preserveTimestamps: true });
+  else
+    yield fs.writeFileAsync(join(this.root, tmp), data, 'utf-8');
+
+  this.journal.push({ op: 'rename', from: tmp, to: path });
+
+  return this;
+});
+
+// Looks up the remembered path mapping of the passed-in
+// item: the rendered layout path and the actual directory
+// (which may differ because of name collisions).
+Store.prototype.lookup = co(function* (key) {
+  var mapping = this.subscription &&
+    (yield this.subscription.lookup(this.id, key));
+
+  if (mapping) return JSON.parse(mapping);
+
+  var entry = this.index[key];
+  return (entry && !entry.parent) ? { dir: entry.dir } : null;
+});
+
+Store.prototype.remember = function (key, mapping) {
+  this.journal.push({
+    op: 'remember', id: this.id, key: key, value: JSON.stringify(mapping)
+  });
+
+  return this;
+};
+
+Store.prototype.forget = function (key) {
+  this.journal.push({ op: 'forget', id: this.id, key: key });
+  return this;
+};
+
+// Returns the directory of the passed-in item: children
+// are stored in their parent's directory, top-level items
+// in the directory given by the layout. If the layout
+// path of a top-level item changed, its directory (and
+// thus all its children) is moved to the new path.
+Store.prototype.locate = co(function* (item) {
+  var key = item.key, parent = item.data.parentItem;
+
+  if (parent) {
+    if (this.index[parent]) return this.index[parent].dir;
+
+    var mapping = yield this.lookup(parent);
+    return mapping ? mapping.dir : Template.slug(parent);
+  }
+
+  var path = this.layout.render(item, this);
+  var previous = yield this.lookup(key);
+
+  if (previous && (previous.path === path ||
+    (!previous.path && previous.dir === path))) {
+    return previous.dir;
+  }
+
+  var index = this.index, reserved = this.reserved;
+  var dir = Template.unique(path, function (candidate) {
+    if (reserved[candidate]) return reserved[candidate] !== key;
+
+    return Object.keys(index).some(function (k) {
+      return k !== key && !index[k].parent && index[k].dir === candidate;
+    });
+  });
+
+  // Reserve the directory before the next yield!
+  reserved[dir] = key;
+
+  var source = previous && previous.dir;
+
+  if (source && source !== dir) {
+    debug('moving %s from %s to %s', key, source, dir);
+
+    // The old directory must not be reused in this session!
+    reserved[source] = key;
+
+    yield this.mkdir(dirname(dir));
+    this.move(source, dir);
+
+    Object.keys(index).forEach(function (k) {
+      if (index[k].dir === source) index[k].dir = dir;
+    });
+
+    this.stale[dirname(source)] = true;
+  }
+
+  this.remember(key, { path: path, dir: dir });
+
+  return dir;
+});
+
+// Returns the file names of the passed-in item in `dir`.
+// Names are stable: if an item's name did not change,
+// it keeps its file even if the file name had to be
+// changed because of a collision.
+Store.prototype.allocate = function (item, dir, names, entry) {
+  var key = item.key, index = this.index, freed = this.freed;
+
+  return names.map(function (name, idx) {
+    if (entry && entry.dir === dir && entry.names[idx] === name)
+      return entry.files[idx];
+
+    return Template.unique(name, function (candidate) {
+      if (freed[join(dir, candidate)]) return true;
+
+      return Object.keys(index).some(function (k) {
+        return k !== key && index[k].dir === dir &&
+          index[k].files.indexOf(candidate) !== -1;
+      });
+    }, true);
+  });
+};
+
+Store.prototype.save = co(function* (item, download) {
+  var key = item.key, index = this.index;
+
+  // Files which are missing on the server do not fail
+  // the session: only the attachment's metadata is saved.
+  var file = download ? yield fetch(key, download) : undefined;
+
+  var dir = yield this.locate(item);
+  var entry = index[key] && extend({}, index[key]);
+
+  var names = [this.filename.render(item, this) + '.json'];
+
+  if (file !== undefined)
+    names.push(Template.slug(item.data.filename || (key + '.data'), 128));
+
+  var files = this.allocate(item, dir, names, entry);
+
+  // Reserve the files before the next yield!
+  index[key] = { dir: dir, names: names, files: files };
+  if (item.data.parentItem) index[key].parent = item.data.parentItem;
+
+  var obsolete = !entry ? [] : entry.files.filter(function (f) {
+    return entry.dir !== dir || files.indexOf(f) === -1;
+  });
+
+  this.free(entry && entry.dir, obsolete);
+
+  yield this.mkdir(dir);
+  yield this.stage(join(dir, files[0]), this.serialize(item));
+
+  var moved = (file !== undefined) &&
+    (yield this.attach(file, join(dir, files[1]), entry));
+
+  if (entry) {
+    this.unlink(entry.dir, obsolete.filter(function (f) {
+      return f !== moved;
+    }));
+
+    if (entry.dir !== dir) debug('moved %s from %s to %s', key, entry.dir, dir);
+
+    // Forget the path of former top-level items!
+    if (!entry.parent && item.data.parentItem) this.forget(key);
+  }
+
+  return this;
+});
+
+// Stages the attachment file; unchanged files are not
+// downloaded again: if the attachment was moved or
+// renamed, the old file is moved. Returns the name
+// of the moved file, if any.
+Store.prototype.attach = co(function* (file, path, entry) {
+  // Attachments are copied from the session's cache
+  // so that they never have to be held in memory.
+  if (file) {
+    yield this.stage(path, null, file);
+    return null;
+  }
+
+  if (!entry || !entry.files[1]) return null;
+
+  this.move(join(entry.dir, entry.files[1]), path);
+
+  return entry.files[1];
+});
+
+Store.prototype.remove = function (key) {
+  var entry = this.index[key] || { dir: key, files: [key + '.json'] };
+
+  this.unlink(entry.dir, entry.files);
+  this.free(entry.dir, entry.files);
+
+  delete this.index[key];
+
+  if (!entry.parent) this.forget(key);
+
+  return this;
+};
+
+// Removes all items from the index (and their files)
+// which are not in the passed-in list of keys.
+Store.prototype.reconcile = function (keys) {
+  var orphans = Object.keys(this.index).filter(function (key) {
+    return keys.indexOf(key) === -1;
+  });
+
+  debug('removing %d orphaned item(s)...', orphans.length);
+
+  orphans.forEach(this.remove, this);
+
+  return this;
+};
+
+// Updates the names of the passed-in collections.
+Store.prototype.name = function (collections) {
+  var names = this.collections;
+
+  Object.keys(collections.items).forEach(function (key) {
+    var collection = collections.items[key];
+    names[key] = (collection.data || collection).name;
+  });
+
+  collections.deleted.forEach(function (key) { delete names[key]; });
+
+  return this;
+};
+
+Store.prototype.move = function (from, to) {
+  if (from !== to)
+    this.journal.push({ op: 'move', from: from, to: to });
+
+  return this;
+};
+
+Store.prototype.free = function (dir, files) {
+  files.forEach(function (file) {
+    this.freed[join(dir, file)] = true;
+  }, this);
+
+  return this;
+};
+
+Store.prototype.unlink = function (dir, files) {
+  this.stale[dir] = true;
+
+  files.forEach(function (file) {
+    this.journal.push({ op: 'unlink', path: join(dir, file) });
+  }, this);
+
+  return this;
+};
+
+// Removes all stale directories which are empty (and
+// their empty parent directories); directories still
+// in use are never removed.
+Store.prototype.prune = co(function* () {
+  var root = this.root, index = this.index;
+  var used = {}, stale = Object.keys(this.stale);
+
+  Object.keys(index).forEach(function (key) {
+    for (var dir = index[key].dir; dir !== '.'; dir = dirname(dir))
+      used[dir] = true;
+  });
+
+  this.stale = {};
+
+  // Remove nested directories first!
+  stale.sort(function (a, b) { return b.length - a.length; });
+
+  yield B.each(stale, co(function* (dir) {
+    for (; dir !== '.' && !used[dir]; dir = dirname(dir)) {
+      try {
+        yield fs.rmdirAsync(join(root, dir));
+        debug('removed empty directory %s', dir);
+
+      } catch (error) {
+        switch (code(error)) {
+          case 'ENOENT':
+            continue;
+          case 'ENOTEMPTY':
+          case 'EEXIST':
+            return;
+          default:
+            throw error;
+        }
+      }
+    }
+  }));
+
+  return this;
+});
+
+/**
+ * Applies the changes of the passed-in synchronization
+ * session: deleted items are removed, created and updated
+ * items are saved (including attachment files) and all
+ * changes are committed as a unit.
+ *
+ * @method update
+ *
+ * @param {Session} sync
+ * @return {Promise<this>}
+ */
+Store.prototype.update = co(function* (sync) {
+  var self = this;
+
+  this.name(sync.collections);
+
+  debug('removing %d item(s)...', sync.deleted.length);
+
+  sync.deleted.forEach(this.remove, this);
+
+  var items = sync.created
+    .concat(sync.updated)
+    .map(function (key) { return sync.items[key]; });
+
+  debug('saving %d item(s)...', items.length);
+
+  // Attachments are downloaded only when they are
+  // saved, so that failed downloads are handled. Linked
+  // files and URLs have no file to download.
+  function save(item) {
+    check(self.plugin);
+
+    return self.save(item, downloadable(item) ?
+      function () { return sync.attachment(item); } : null);
+  }
+
+  // Save all new and updated items; top-level items
+  // first, because they determine their children's
+  // directories! New files are only staged until the
+  // session is committed.
+  try {
+    yield B.map(items.filter(function (item) {
+      return !item.data.parentItem;
+    }), save, { concurrency: CONCURRENCY });
+
+    yield B.map(items.filter(function (item) {
+      return item.data.parentItem;
+    }), save, { concurrency: CONCURRENCY });
+
+    check(this.plugin);
+
+  } catch (error) {
+    yield this.rollback();
+    throw error;
+  }
+
+  // After a full synchronization, all items which
+  // are no longer in the library must be removed.
+  if (!sync.subscription.version)
+    this.reconcile(sync.created.concat(sync.updated));
+
+  // Apply all changes as a unit!
+  yield this.commit();
+  yield this.prune();
+
+  return this;
+});
+
+properties(Store.prototype, {
+  // The id used to remember the item paths; the
+  // paths depend on the storage root.
+  id: {
+    get: function () { return ['fs', this.root].join(':'); }
+  }
+});
+
+
+// --- Private Helpers ---
+
+// Downloads the attachment's file; resolves to undefined
+// if the file does not exist on the server.
+function fetch(key, download) {
+  return B.try(download).catch(function (error) {
+    if (error.code !== 404) throw error;
+
+    debug('file of attachment %s not found, skipping...', key);
+    return undefined;
+  });
+}
+
+// Renames the file unless it has been renamed already.
+function rename(from, to) {
+  return fs
+    .mkdirpAsync(dirname(to))
+    .then(function () { return fs.renameAsync(from, to); })
+
+    .catch(function (error) {
+      if (code(error) !== 'ENOENT' || !fs.existsSync(to)) throw error;
+    });
+}
+
+function move(from, to) {
+  return fs
+    .moveAsync(from, to, { clobber: true })
+
+    .catch(function (error) {
+      if (code(error) !== 'ENOENT') throw error;
+    });
+}
+
+function unlink(path) {
+  return fs
+    .unlinkAsync(path)
+
+    .catch(function (error) {
+      if (code(error) !== 'ENOENT') throw error;
+    });
+}
+
+// --- Exports ---
+module.exports = Store;
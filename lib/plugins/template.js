@@ -0,0 +1,160 @@
+'use strict';
+
+/** @module arkivo */
+
+/**
+ * A Template renders file system paths for Zotero
+ * items. Templates contain variables in curly braces
+ * (e.g., `{collection}/{year}-{firstAuthor}-{shortTitle}`);
+ * all variable values are slugged, so they never contain
+ * path separators.
+ *
+ * @class Template
+ * @constructor
+ *
+ * @param {String} source The template string.
+ * @throws {Error} If the template contains unknown variables
+ *   or if it points outside of the storage root.
+ */
+function Template(source) {
+  this.source = source;
+
+  if (source.split('/').indexOf('..') !== -1 || source[0] === '/')
+    throw new Error('template must be a relative path: ' + source);
+
+  source.replace(PATTERN, function (_, name) {
+    if (!Template.variables.hasOwnProperty(name))
+      throw new Error('unknown template variable: ' + name);
+  });
+}
+
+/**
+ * The available template variables; each variable is a
+ * function which takes an item and the rendering context
+ * (e.g., the names of all collections) and returns the
+ * variable's value.
+ *
+ * @property variables
+ * @type Object
+ * @static
+ */
+Template.variables = {
+  key: function (item) { return item.key; },
+
+  itemType: function (item) { return item.data.itemType; },
+
+  title: function (item) { return item.data.title; },
+
+  shortTitle: function (item) {
+    return item.data.shortTitle ||
+      (item.data.title || '').split(/\s+/).slice(0, 3).join(' ');
+  },
+
+  year: function (item) {
+    var m = (/\b(\d{4})\b/).exec(item.data.date || '');
+    return m && m[1];
+  },
+
+  added: function (item) {
+    return (item.data.dateAdded || '').slice(0, 10);
+  },
+
+  firstAuthor: function (item) {
+    var creator = (item.data.creators || [])[0];
+    return creator && (creator.lastName || creator.name);
+  },
+
+  collection: function (item, context) {
+    var key = (item.data.collections || [])[0];
+    if (!key) return null;
+
+    return (context.collections && context.collections[key]) || key;
+  }
+};
+
+/**
+ * Converts the passed-in string to a safe file
+ * or directory name: diacritics are removed and
+ * all characters except letters, digits, dots,
+ * dashes and underscores are replaced by dashes.
+ *
+ * @method slug
+ * @static
+ *
+ * @param {String} string
+ * @param {Number} [max = 64] The maximum length.
+ *
+ * @return {String} The slug.
+ */
+Template.slug = function (string, max) {
+  var slug = String(string == null ? '' : string);
+
+  if (slug.normalize) slug = slug.normalize('NFKD');
+
+  slug = slug
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9._-]+/g, '-')
+    .replace(/-{2,}/g, '-')
+    .replace(/^[-.]+|-+$/g, '')
+    .slice(0, max || 64)
+    .replace(/-+$/, '');
+
+  return slug || 'unknown';
+};
+
+/**
+ * Returns a unique variant of `name` which is not
+ * taken (according to the passed-in `taken` function)
+ * by appending a counter (before the file extension).
+ *
+ * @method unique
+ * @static
+ *
+ * @param {String} name
+ * @param {Function} taken
+ * @param {Boolean} [extension = false] Whether or not
+ *   the name has a file extension.
+ *
+ * @return {String} The unique name.
+ */
+Template.unique = function (name, taken, extension) {
+  var m = extension && (/^(.+)(\.[^.]+)$/).exec(name);
+  var base = m ? m[1] : name, ext = m ? m[2] : '';
+
+  for (var i = 2, candidate = name; taken(candidate); ++i)
+    candidate = [base, i].join('-') + ext;
+
+  return candidate;
+};
+
+/**
+ * Renders the template for the passed-in item.
+ *
+ * @method render
+ *
+ * @param {Object} item The Zotero item.
+ * @param {Object} [context] The rendering context.
+ *
+ * @return {String} The rendered path.
+ */
+Template.prototype.render = function (item, context) {
+  context = context || {};
+
+  return this.source
+    .split('/')
+    .map(function (segment) {
+      return segment.replace(PATTERN, function (_, name) {
+        return Template.slug(Template.variables[name](item, context));
+      });
+    })
+    .filter(Boolean)
+    .join('/');
+};
+
+
+// --- Private Helpers ---
+
+var PATTERN = /\{(\w+)\}/g;
+
+// --- Exports ---
+module.exports = Template;
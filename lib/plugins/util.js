@@ -0,0 +1,130 @@
+'use strict';
+
+// --- Dependencies ---
+var fs = require('fs-extra');
+var dirname = require('path').dirname;
+
+var B  = require('bluebird');
+var co = B.coroutine.bind(B);
+
+B.promisifyAll(fs);
+
+/** @module plugins/util */
+
+/**
+ * Returns the code of a (possibly wrapped) file
+ * system error (e.g., `ENOENT`).
+ *
+ * @method code
+ * @param {Error} error
+ * @return {String}
+ */
+exports.code = function code(error) {
+  return (error.cause || error).code;
+};
+
+/**
+ * Returns an error handler which ignores errors
+ * with the passed-in code and re-throws all others.
+ *
+ * @method ignore
+ * @param {String} name The error code (e.g., `ENOENT`).
+ * @return {Function}
+ */
+exports.ignore = function ignore(name) {
+  return function (error) {
+    if (exports.code(error) !== name) throw error;
+    return null;
+  };
+};
+
+/**
+ * Writes `text` to `file` atomically: the text is
+ * written to a temporary file which is then renamed.
+ * Missing directories are created.
+ *
+ * @method write
+ *
+ * @param {String} file
+ * @param {String} text
+ *
+ * @return {Promise}
+ */
+exports.write = co(function* (file, text) {
+  yield fs.mkdirpAsync(dirname(file));
+  yield fs.writeFileAsync(file + '.tmp', text, 'utf-8');
+  yield fs.renameAsync(file + '.tmp', file);
+});
+
+/**
+ * Reads `file`; returns an empty string if the
+ * file does not exist.
+ *
+ * @method read
+ * @param {String} file
+ * @return {Promise<String>}
+ */
+exports.read = function read(file) {
+  return fs
+    .readFileAsync(file, 'utf-8')
+    .catch(exports.ignore('ENOENT'))
+    .then(function (text) { return text || ''; });
+};
+
+/**
+ * Throws the reason why the passed-in plugin was
+ * cancelled (e.g., a timeout error), if any.
+ *
+ * @method check
+ * @param {Plugin} [plugin]
+ * @throws {Error} If the plugin has been cancelled.
+ */
+exports.check = function check(plugin) {
+  if (plugin && plugin.cancelled) throw plugin.cancelled;
+};
+
+/**
+ * Whether or not the item is a regular item, i.e.,
+ * neither a note nor an attachment.
+ *
+ * @method citable
+ * @param {Object} item A Zotero item.
+ * @return {Boolean}
+ */
+exports.citable = function citable(item) {
+  return !!item && !!item.data && !item.data.parentItem &&
+    item.data.itemType !== 'note' && item.data.itemType !== 'attachment';
+};
+
+/**
+ * Whether or not the item is an attachment whose file
+ * is stored by Zotero (imported files and web pages);
+ * linked files and URLs have no file to download.
+ *
+ * @method downloadable
+ * @param {Object} item A Zotero item.
+ * @return {Boolean}
+ */
+exports.downloadable = function downloadable(item) {
+  var data = item && item.data;
+
+  if (!data || data.itemType !== 'attachment') return false;
+
+  return data.linkMode === 'imported_file' ||
+    data.linkMode === 'imported_url' || !!data.md5;
+};
+
+/**
+ * Escapes HTML and XML special characters.
+ *
+ * @method escape
+ * @param {String} value
+ * @return {String}
+ */
+exports.escape = function escape(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
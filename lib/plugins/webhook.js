@@ -0,0 +1,233 @@
+'use strict';
+
+// --- Dependencies ---
+var crypto = require('crypto');
+var http   = require('http');
+var https  = require('https');
+var parse  = require('url').parse;
+
+var debug = require('debug')('arkivo:plugins:webhook');
+
+var B = require('bluebird');
+
+var extend = require('../common').extend;
+var q = require('../q').instance;
+
+var pkg = require('../../package.json');
+
+
+// The job type of failed deliveries.
+var JOB = 'webhook';
+
+var SIGNATURE = 'X-Arkivo-Signature';
+
+
+// --- Private Helpers ---
+
+/**
+ * Returns the JSON summary of the passed-in session;
+ * if `items` is set, the data of all created and
+ * updated items is included as well.
+ */
+function summary(sync, items) {
+  var s = sync.subscription;
+
+  var payload = {
+    subscription: s.id,
+    library: s.library,
+    version: { previous: s.version, current: sync.version },
+    created: sync.created,
+    updated: sync.updated,
+    deleted: sync.deleted
+  };
+
+  if (items) {
+    payload.items = sync.created
+      .concat(sync.updated)
+      .reduce(function (all, key) {
+        if (sync.items[key]) all[key] = sync.items[key];
+        return all;
+      }, {});
+  }
+
+  return payload;
+}
+
+// Signs the body with HMAC-SHA256 using the secret.
+function sign(body, secret) {
+  return 'sha256=' +
+    crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+/**
+ * POSTs the request's body to its URL; the promise
+ * is rejected if the request fails, times out or
+ * if the response status is not 2xx.
+ */
+function post(request) {
+  return new B(function (resolve, reject) {
+    var options = extend(parse(request.url), {
+      method: 'POST',
+      headers: extend({
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(request.body),
+        'User-Agent': [pkg.name, pkg.version].join('/')
+      }, request.headers)
+    });
+
+    var req = ((/^https/i).test(options.protocol) ? https : http)
+      .request(options, function (res) {
+        var code = res.statusCode, error;
+
+        res.resume();
+
+        if (code < 200 || code >= 300) {
+          error = new Error('webhook delivery failed with status ' + code);
+          error.code = code;
+
+          return reject(error);
+        }
+
+        resolve(code);
+      });
+
+    req.setTimeout(request.timeout || 0, function () {
+      req.abort();
+      reject(new Error('webhook delivery timed out'));
+    });
+
+    req.on('error', reject);
+    req.end(request.body);
+  });
+}
+
+
+module.exports = {
+  name: 'webhook',
+
+  description:
+    'POSTs a JSON summary of each synchronization session ' +
+    'to a URL. Failed deliveries are retried using the ' +
+    'message queue.',
+
+  parameters: {
+    type: 'object',
+    required: ['url'],
+    properties: {
+      url: {
+        type: 'string',
+        pattern: '^https?://',
+        description: 'The URL to POST the summaries to.'
+      },
+      secret: {
+        type: 'string',
+        description:
+          'If set, each payload is signed using HMAC-SHA256 and ' +
+          'the signature is sent in the X-Arkivo-Signature header.'
+      },
+      items: {
+        type: 'boolean',
+        default: false,
+        description: 'Include the data of created and updated items.'
+      },
+      timeout: {
+        type: 'integer',
+        minimum: 0,
+        default: 10000,
+        description: 'The request timeout in milliseconds.'
+      },
+      attempts: {
+        type: 'integer',
+        minimum: 0,
+        default: 5,
+        description: 'The max. number of retries of failed deliveries.'
+      },
+      backoff: {
+        type: 'integer',
+        minimum: 0,
+        default: 30000,
+        description: 'The initial delay between retries (doubled ' +
+          'after each attempt) in milliseconds.'
+      }
+    }
+  },
+
+  /**
+   * Sends the request; exposed so that it can be
+   * stubbed (and used by the queue's job handler).
+   *
+   * @method deliver
+   * @param {Object} request The url, body, headers and timeout.
+   * @return {Promise}
+   */
+  deliver: post,
+
+  /**
+   * Saves the failed request as a job in the message
+   * queue; the job is retried with exponential backoff.
+   *
+   * @method enqueue
+   * @param {Object} request
+   * @return {Promise<Kue.Job>}
+   */
+  enqueue: function (request) {
+    var options = this.options;
+
+    return new B(function (resolve, reject) {
+      var job = q.jobs.create(JOB, extend({
+        title: 'Webhook delivery to ' + request.url
+      }, request));
+
+      job
+        .delay(options.backoff)
+        .attempts(options.attempts)
+        .backoff({ delay: options.backoff, type: 'exponential' })
+
+        .save(function (error) {
+          if (error) return reject(error);
+          resolve(job);
+        });
+    });
+  },
+
+  // Processes the queued deliveries; when the plugins
+  // are reloaded, the previous handler is replaced.
+  setup: function () {
+    var deliver = this.deliver;
+
+    q.handle(JOB, function (job, ctx, done) {
+      debug('retrying delivery to %s (job #%d)', job.data.url, job.id);
+
+      deliver(job.data).then(function () { done(); }, done);
+    });
+  },
+
+  process: function (sync) {
+    var self = this, options = this.options, headers = {};
+    var body = JSON.stringify(summary(sync, options.items));
+
+    if (options.secret) headers[SIGNATURE] = sign(body, options.secret);
+
+    var request = {
+      url: options.url,
+      body: body,
+      headers: headers,
+      timeout: options.timeout
+    };
+
+    debug('[%s] posting summary to %s...', sync.id, options.url);
+
+    return B.resolve(this.deliver(request))
+      .catch(function (error) {
+        debug('[%s] delivery to %s failed: %s',
+          sync.id, options.url, error.message);
+
+        if (!options.attempts) throw error;
+
+        return self.enqueue(request).then(function (job) {
+          debug('[%s] delivery scheduled for retry (job #%d)',
+            sync.id, job.id);
+        });
+      });
+  }
+};
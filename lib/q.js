@@ -23,6 +23,14 @@ var properties = Object.defineProperties;
 function MessageQueue(options) {
   this.options = options;
 
+  /**
+   * The current job handlers, indexed by job type.
+   *
+   * @property handlers
+   * @type Object
+   */
+  this.handlers = {};
+
   /**
    * @property jobs
    * @type {Kue.Queue}
@@ -81,6 +89,36 @@ MessageQueue.prototype.interrupted = function () {
     .filter(function (job) { return job._error === 'Shutdown'; });
 };
 
+/**
+ * Processes jobs of `type` using the passed-in handler.
+ * The workers are created only once for each type;
+ * subsequent calls replace the handler (e.g., after
+ * plugins have been reloaded).
+ *
+ * @method handle
+ * @chainable
+ *
+ * @param {String} type The job type.
+ * @param {Function} handler The handler; it is called
+ *   with the job, the job context and a callback.
+ * @param {Number} [workers = 1] The number of workers.
+ */
+MessageQueue.prototype.handle = function (type, handler, workers) {
+  var handlers = this.handlers;
+
+  if (!handlers[type]) {
+    debug('processing "%s" jobs...', type);
+
+    this.jobs.process(type, workers || 1, function (job, ctx, done) {
+      handlers[type](job, ctx, done);
+    });
+  }
+
+  handlers[type] = handler;
+
+  return this;
+};
+
 MessageQueue.prototype.state = function (state) {
   assert(this.jobs);
 
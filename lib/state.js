@@ -0,0 +1,204 @@
+'use strict';
+
+// --- Dependencies ---
+var debug = require('debug')('arkivo:state');
+
+var B = require('bluebird');
+var co = B.coroutine.bind(B);
+
+var config = require('./config').subscription;
+var db     = require('./db');
+
+var properties = Object.defineProperties;
+var keys = Object.keys;
+
+/** @module arkivo */
+
+/**
+ * A State is a plugin's private key/value store for a
+ * single subscription. Plugins can use it to keep track
+ * of external ids, cursors, ETags or any other per-item
+ * metadata between synchronization sessions.
+ *
+ * Values are stored as JSON; each value can have an
+ * optional time to live, after which it is removed.
+ * The states of all plugins are stored in a single
+ * hash per subscription, which is removed when the
+ * subscription is destroyed.
+ *
+ * @class State
+ * @constructor
+ *
+ * @param {String} id The subscription id.
+ * @param {String} [plugin] The plugin name.
+ */
+function State(id, plugin) {
+  this.id = id;
+  this.plugin = plugin;
+}
+
+properties(State.prototype, {
+  db: {
+    get: function () { return db(config.prefix); }
+  },
+
+  /**
+   * The database key of the subscription's state.
+   *
+   * @property key
+   * @type String
+   */
+  key: {
+    get: function () { return ['state', this.id].join(':'); }
+  },
+
+  /**
+   * The prefix of the plugin's fields.
+   *
+   * @property prefix
+   * @type String
+   */
+  prefix: {
+    get: function () { return this.plugin + ':'; }
+  }
+});
+
+/**
+ * Returns the value stored for `name`.
+ *
+ * @method get
+ *
+ * @param {String} name
+ * @return {Promise<Object>} The value or undefined
+ *   if there is no value or if it has expired.
+ */
+State.prototype.get = co(function* (name) {
+  var entry = parse(yield this.db.hget(this.key, this.field(name)));
+
+  if (!entry) return undefined;
+
+  if (expired(entry)) {
+    yield this.delete(name);
+    return undefined;
+  }
+
+  return entry.value;
+});
+
+/**
+ * Stores `value` for `name`.
+ *
+ * @method set
+ *
+ * @param {String} name
+ * @param {Object} value Any JSON-serializable value.
+ * @param {Number} [ttl] The time to live in milliseconds.
+ *
+ * @return {Promise<this>}
+ */
+State.prototype.set = co(function* (name, value, ttl) {
+  var entry = { value: value };
+
+  if (ttl > 0) entry.expires = Date.now() + ttl;
+
+  yield this.db.hset(this.key, this.field(name), JSON.stringify(entry));
+
+  return this;
+});
+
+/**
+ * Removes the value stored for `name`.
+ *
+ * @method delete
+ *
+ * @param {String} name
+ * @return {Promise<this>}
+ */
+State.prototype.delete = co(function* (name) {
+  yield this.db.hdel(this.key, this.field(name));
+  return this;
+});
+
+/**
+ * Returns all values stored by the plugin; expired
+ * values are removed.
+ *
+ * @method list
+ * @return {Promise<Object>} The values indexed by name.
+ */
+State.prototype.list = co(function* () {
+  var data = (yield this.db.hgetall(this.key)) || {};
+  var prefix = this.prefix, values = {}, stale = [];
+
+  keys(data).forEach(function (field) {
+    if (field.indexOf(prefix) !== 0) return;
+
+    var entry = parse(data[field]);
+
+    if (!entry || expired(entry))
+      stale.push(field);
+    else
+      values[field.slice(prefix.length)] = entry.value;
+  });
+
+  if (stale.length) {
+    debug('[%s] removing %d expired value(s) of %s',
+      this.id, stale.length, this.plugin);
+
+    yield this.db.hdel(this.key, stale);
+  }
+
+  return values;
+});
+
+/**
+ * Removes all values stored by the plugin.
+ *
+ * @method clear
+ * @return {Promise<this>}
+ */
+State.prototype.clear = co(function* () {
+  var data = (yield this.db.hgetall(this.key)) || {};
+  var prefix = this.prefix;
+
+  var fields = keys(data).filter(function (field) {
+    return field.indexOf(prefix) === 0;
+  });
+
+  if (fields.length) yield this.db.hdel(this.key, fields);
+
+  debug('[%s] state of %s cleared', this.id, this.plugin);
+
+  return this;
+});
+
+/**
+ * @method field
+ * @private
+ *
+ * @param {String} name
+ * @return {String} The hash field of `name`.
+ */
+State.prototype.field = function (name) {
+  return this.prefix + name;
+};
+
+
+// --- Private Helpers ---
+
+function parse(data) {
+  if (data == null) return null;
+
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    return null;
+  }
+}
+
+function expired(entry) {
+  return entry.expires != null && entry.expires <= Date.now();
+}
+
+// --- Exports ---
+module.exports = State;
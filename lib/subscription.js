@@ -22,7 +22,10 @@ var config = require('./config').subscription;
 var db     = require('./db');
 var zotero = require('./zotero');
 
-var Range = require('./range');
+var Range      = require('./range');
+var Checkpoint = require('./checkpoint');
+var Filter     = require('./filter');
+var State      = require('./state');
 
 /** @module arkivo */
 
@@ -131,8 +134,71 @@ function Subscription(values) {
    */
   this.versions = {};
 
+  /**
+   * The versions of the library's collections, searches
+   * and tags from the last time the subscription was
+   * synchronized, indexed by object type.
+   *
+   * @property objects
+   * @type Object
+   */
+  this.objects = {};
+
+  /**
+   * The md5 checksums of the library's attachment files
+   * from the last time the subscription was synchronized,
+   * indexed by item key.
+   *
+   * @property checksums
+   * @type Object
+   */
+  this.checksums = {};
+
+  /**
+   * The synchronization cursors of plugins which failed
+   * to process the subscription's latest changes, indexed
+   * by plugin id. Each cursor holds the version and versions
+   * last processed successfully by the plugin, as well as
+   * the error message and timestamp of the last failure.
+   *
+   * Plugins without a cursor are in sync with the
+   * subscription's current version.
+   *
+   * @property cursors
+   * @type Object
+   */
+  this.cursors = {};
+
+  /**
+   * The subscription's synchronization options.
+   *
+   * @property options
+   * @type Object
+   */
+  this.options = {};
+
+  /**
+   * The subscription's item filter rules; only items
+   * passing the filter are dispatched to the plugins.
+   *
+   * @see Filter
+   * @property filter
+   * @type Object
+   */
+  this.filter = {};
+
   this.data = {};
 
+  /**
+   * Whether or not the subscription's checkpoint is
+   * outdated (e.g., after a reset) and has to be
+   * removed when the subscription is saved.
+   *
+   * @property outdated
+   * @type Boolean
+   */
+  this.outdated = false;
+
   /**
    * The subscription's score (used for sorting).
    * By default, based on the creation date.
@@ -149,12 +215,13 @@ properties(Subscription, {
   keys: {
     value: [
       'id', 'url', 'key', 'version', 'timestamp', 'score',
-      'plugins_json', 'versions_json', 'data_json'
+      'plugins_json', 'versions_json', 'data_json', 'options_json',
+      'objects_json', 'cursors_json', 'checksums_json', 'filter_json'
     ]
   },
 
   accessible: {
-    value: ['url', 'key', 'version', 'plugins']
+    value: ['url', 'key', 'version', 'plugins', 'options', 'filter']
   },
 
   db: {
@@ -484,6 +551,83 @@ properties(Subscription.prototype, {
     }
   },
 
+  options_json: {
+    enumerable: false,
+
+    get: function () {
+      return JSON.stringify(this.options);
+    },
+    set: function (value) {
+      this.options = JSON.parse(value || '{}');
+    }
+  },
+
+  objects_json: {
+    enumerable: false,
+
+    get: function () {
+      return JSON.stringify(this.objects);
+    },
+    set: function (value) {
+      this.objects = JSON.parse(value || '{}');
+    }
+  },
+
+  cursors_json: {
+    enumerable: false,
+
+    get: function () {
+      return JSON.stringify(this.cursors);
+    },
+    set: function (value) {
+      this.cursors = JSON.parse(value || '{}');
+    }
+  },
+
+  checksums_json: {
+    enumerable: false,
+
+    get: function () {
+      return JSON.stringify(this.checksums);
+    },
+    set: function (value) {
+      this.checksums = JSON.parse(value || '{}');
+    }
+  },
+
+  filter_json: {
+    enumerable: false,
+
+    get: function () {
+      return JSON.stringify(this.filter);
+    },
+    set: function (value) {
+      this.filter = JSON.parse(value || '{}');
+    }
+  },
+
+  /**
+   * The failures of all plugins which are not in sync with
+   * the subscription, indexed by plugin id. Each failure
+   * contains the plugin's version, the error message and
+   * the timestamp of the failure.
+   *
+   * @property failures
+   * @type Object
+   */
+  failures: {
+    get: function () {
+      var id, failures = {};
+
+      for (id in this.cursors) {
+        failures[id] =
+          pick(this.cursors[id], ['version', 'error', 'timestamp']);
+      }
+
+      return failures;
+    }
+  },
+
   /**
    * A simpler representation of the Subscription.
    * Used for JSON export.
@@ -493,9 +637,13 @@ properties(Subscription.prototype, {
    */
   json: {
     get: function () {
-      return pick(this, [
+      var json = pick(this, [
         'id', 'url', 'key', 'version', 'timestamp'
       ]);
+
+      json.failures = this.failures;
+
+      return json;
     }
   }
 });
@@ -513,11 +661,42 @@ Subscription.prototype.forget = function (plugin, key) {
   return Subscription.forget(this.library, plugin, key);
 };
 
+/**
+ * Returns the private key/value store of the passed-in
+ * plugin for this Subscription. Each configured plugin
+ * instance has its own store (identified by its id).
+ *
+ * @method state
+ *
+ * @param {String|Object} plugin The plugin or its id.
+ * @return {State}
+ */
+Subscription.prototype.state = function (plugin) {
+  assert(this.id, 'has not been saved yet');
+
+  return new State(this.id,
+    (typeof plugin === 'string') ? plugin : (plugin.id || plugin.name));
+};
+
+/**
+ * Resets the subscription's versions and cursors, so
+ * that the next synchronization is a full one. The
+ * checkpoint of interrupted synchronizations is removed
+ * when the subscription is saved.
+ *
+ * @method reset
+ * @chainable
+ */
 Subscription.prototype.reset = function () {
-  this.version  = 0;
-  this.versions = {};
+  this.version   = 0;
+  this.versions  = {};
+  this.objects   = {};
+  this.cursors   = {};
+  this.checksums = {};
+
+  this.outdated  = true;
 
-  // Do not reset this.data!
+  // Do not reset this.data or this.options!
 
   this.touch();
 
@@ -533,7 +712,7 @@ Subscription.prototype.reset = function () {
  * @method save
  *
  * @throws {ValidationError} If the Subscription does
- *   not have a valid URL.
+ *   not have a valid URL or filter.
  *
  * @throws {UpdateError} When saving an existing
  *   Subscription (with an id), that has been removed
@@ -548,16 +727,30 @@ Subscription.prototype.save = co(function* () {
   if (!this.library)
     throw new ValidationError('not a valid Zotero library URL');
 
+  try {
+    Filter.validate(this.filter);
+  } catch (error) {
+    throw new ValidationError(error.message);
+  }
+
   if (this.id) {
     if (!(yield Subscription.exists(this.id)))
       throw new UpdateError('id does not exist: ' + this.id, this);
 
   } else yield this.identify();
 
-  yield this.db.transaction()
+  var transaction = this.db.transaction()
     .zadd('ids', this.score, this.id)
-    .hmset(this.id, this.serialize())
-    .commit();
+    .hmset(this.id, this.serialize());
+
+  if (this.outdated) {
+    var checkpoint = new Checkpoint(this.id);
+    transaction.del(checkpoint.key, checkpoint.items);
+  }
+
+  yield transaction.commit();
+
+  this.outdated = false;
 
   debug('"%s" saved successfully', this.id);
 
@@ -593,9 +786,12 @@ Subscription.prototype.identify = co(function* () {
 
 
 Subscription.prototype.destroy = co(function* (options) {
+  var checkpoint = new Checkpoint(this.id);
+  var state = new State(this.id);
+
   yield this.db.transaction()
     .zrem('ids', this.id)
-    .del(this.id)
+    .del(this.id, checkpoint.key, checkpoint.items, state.key)
     .commit();
 
   debug('"%s" destroyed successfully', this.id);
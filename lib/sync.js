@@ -2,6 +2,8 @@
 
 // --- Dependencies ---
 var assert = require('assert');
+var crypto = require('crypto');
+var fs = require('fs');
 var inherits = require('util').inherits;
 
 var debug = require('debug')('arkivo:sync');
@@ -11,12 +13,19 @@ var B = require('bluebird');
 var co = B.coroutine.bind(B);
 
 var zotero = require('./zotero');
+var config = require('./config').sync;
+
+var Cache      = require('./cache');
+var Checkpoint = require('./checkpoint');
+var Filter     = require('./filter');
+var Governor   = require('./governor');
 
 var properties = Object.defineProperties;
 var slice = Array.prototype.slice;
 
 var common = require('./common');
 var extend = common.extend;
+var noop   = common.noop;
 
 var plugins = require('./plugins');
 
@@ -24,6 +33,14 @@ var plugins = require('./plugins');
 
 var MAX_BATCH_SIZE = 50;
 
+// The library objects which can be synchronized alongside
+// items and the parameters used to select them by key.
+var OBJECTS = {
+  collections: 'collectionKey',
+  searches: 'searchKey',
+  tags: null
+};
+
 /**
  * A synchronization session; it keeps track of the session
  * state for a single subscription and is created by the
@@ -60,12 +77,14 @@ function Session(subscription, synchronizer) {
   this.items = {};
 
   /**
-   * Cache for downloaded attachments.
+   * On-disk cache for downloaded attachment files.
+   * The cache is shared by all plugins and cleared
+   * when the session is finished.
    *
-   * @property attachments
-   * @type Object
+   * @property cache
+   * @type Cache
    */
-  this.attachments = {};
+  this.cache = new Cache(subscription && subscription.id);
 
   /**
    * The keys of all newly created items.
@@ -91,6 +110,112 @@ function Session(subscription, synchronizer) {
    */
   this.deleted = [];
 
+  /**
+   * The keys of all created or updated items which
+   * were removed from `created` and `updated` by the
+   * subscription's filter.
+   *
+   * @property filtered
+   * @type {Array<String>}
+   */
+  this.filtered = [];
+
+  /**
+   * The full-text content of changed attachment items
+   * indexed by their Zotero keys; this is downloaded
+   * only if enabled by the subscription's `fulltext`
+   * option.
+   *
+   * @property fulltext
+   * @type Object
+   */
+  this.fulltext = {};
+
+  /**
+   * The versions of the full-text content
+   * downloaded during synchronization.
+   *
+   * @property fulltextVersions
+   * @type Object
+   */
+  this.fulltextVersions = {};
+
+  /**
+   * The collections created, updated or deleted during
+   * synchronization; this is tracked only if enabled
+   * by the subscription's `objects` option.
+   *
+   * @property collections
+   * @type Changes
+   */
+  this.collections = new Changes('collections');
+
+  /**
+   * The saved searches created, updated or deleted during
+   * synchronization; this is tracked only if enabled
+   * by the subscription's `objects` option.
+   *
+   * @property searches
+   * @type Changes
+   */
+  this.searches = new Changes('searches');
+
+  /**
+   * The tags created, updated or deleted during
+   * synchronization; this is tracked only if enabled
+   * by the subscription's `objects` option.
+   *
+   * @property tags
+   * @type Changes
+   */
+  this.tags = new Changes('tags');
+
+  /**
+   * The ids of all plugins which have already processed
+   * this session's data.
+   *
+   * @property dispatched
+   * @type {Array<String>}
+   */
+  this.dispatched = [];
+
+  /**
+   * The errors of all plugins which failed to process
+   * this session's data, indexed by plugin id.
+   *
+   * @property failed
+   * @type Object
+   */
+  this.failed = {};
+
+  /**
+   * The errors of all attachment files which failed
+   * the integrity check (even after retrying the
+   * download), indexed by item key.
+   *
+   * @property corrupted
+   * @type Object
+   */
+  this.corrupted = {};
+
+  /**
+   * The session's Checkpoint; if present, the session
+   * state is saved while the session is in progress.
+   *
+   * @property checkpoint
+   * @type Checkpoint
+   */
+  this.checkpoint = undefined;
+
+  /**
+   * The version of the checkpoint from which the
+   * session was resumed, if any.
+   *
+   * @property resumed
+   * @type Number
+   */
+  this.resumed = undefined;
+
   /**
    * The subscription's remote version. If this version differs
    * from the subscription's current version, this means that
@@ -135,6 +260,53 @@ properties(Session.prototype, {
       return this.version !== undefined &&
         this.version > this.subscription.version;
     }
+  },
+
+  /**
+   * Whether or not the session runs in incremental mode.
+   * In incremental mode, only the versions of items
+   * modified since the subscription's current version are
+   * requested and deletions are fetched from Zotero's
+   * `deleted` endpoint.
+   *
+   * Incremental mode must be enabled by setting the
+   * subscription's `incremental` option and is used only
+   * if the subscription has been synchronized before.
+   *
+   * Note: In incremental mode, items which are removed
+   * from a collection (without being deleted) are not
+   * detected as deleted items.
+   *
+   * @property incremental
+   * @type Boolean
+   */
+  incremental: {
+    get: function () {
+      var s = this.subscription;
+      return !!(s && s.options && s.options.incremental && s.version);
+    }
+  },
+
+  /**
+   * The types of library objects (collections, searches
+   * and tags) to synchronize alongside items. Set the
+   * subscription's `objects` option to true to synchronize
+   * all types, or to a list of the types to synchronize.
+   *
+   * @property objects
+   * @type Array<String>
+   */
+  objects: {
+    get: function () {
+      var s = this.subscription;
+      var types = s && s.options && s.options.objects;
+
+      if (!types) return [];
+
+      return Object.keys(OBJECTS).filter(function (type) {
+        return !Array.isArray(types) || types.indexOf(type) !== -1;
+      });
+    }
   }
 
 });
@@ -145,6 +317,10 @@ properties(Session.prototype, {
  * Zotero client you can be sure that your requests have the
  * same credentials that were used by synchronization session.
  *
+ * All requests are sent through the Synchronizer's Governor;
+ * therefore, they are paused and retried automatically if
+ * the Zotero API asks us to back off.
+ *
  * @method get
  *
  * @param {String} [path] The path to get (defaults to
@@ -162,7 +338,24 @@ Session.prototype.get = function (path, options, headers) {
   options = extend({}, s.params, options);
   headers = extend({}, s.headers, headers);
 
-  return z.get(path, options, headers);
+  return this.synchronizer.governor.request(function () {
+    return z.get(path, options, headers);
+  });
+};
+
+/**
+ * Requests the next page of a multi-object response
+ * through the Synchronizer's Governor.
+ *
+ * @method next
+ * @param {Zotero.Message} message The current page.
+ *
+ * @return {Promise<Zotero.Message>}
+ */
+Session.prototype.next = function (message) {
+  return this.synchronizer.governor.request(function () {
+    return message.next();
+  });
 };
 
 /**
@@ -199,28 +392,96 @@ Session.prototype.children = function (item) {
 
 
 /**
- * Downloads an item's file attachment and store
- * it in the local attachment cache.
+ * Downloads an item's file attachment and stores
+ * it in the session's on-disk cache. The file is
+ * streamed to disk and downloaded only once, even
+ * if multiple plugins request it.
+ *
+ * Each download is verified using the item's `md5`
+ * checksum; corrupted downloads are retried and, if the
+ * file is still corrupted, an IntegrityError is thrown
+ * and recorded in `.corrupted`. The cached file's
+ * modification time is set to the item's `mtime`.
+ *
+ * If the item's checksum has not changed since the
+ * last synchronization, the file is not downloaded
+ * at all, unless `force` is set.
  *
  * @method attachment
- * @return {Promise<Zotero.Message>}
+ *
+ * @param {Object} item The attachment item.
+ * @param {Boolean} [force = false] Whether or not to
+ *   download files which have not changed.
+ *
+ * @throws {IntegrityError} If the file is corrupted.
+ *
+ * @return {Promise<String>} The path of the cached
+ *   file, or null if the file has not changed.
  */
-Session.prototype.attachment = function (item) {
+Session.prototype.attachment = function (item, force) {
+  var self = this;
+  var z = this.synchronizer.zotero;
+  var s = this.subscription;
+  var governor = this.synchronizer.governor;
+  var retries = this.synchronizer.options.retries || 0;
+
+  var path = [s.library, 'items', item.key, 'file'].join('/');
+  var md5 = item.data && item.data.md5;
+
+  if (!force && md5 && (s.checksums || {})[item.key] === md5) {
+    this.debug('attachment %s unchanged, skipping download', item.key);
+    return B.resolve(null);
+  }
 
-  // TODO add semaphore in order to support parallel
-  // execution of plugins!
+  function download(file, attempt) {
+    return governor
+      .request(function () {
+        return z.download(path, s.params, s.headers, file);
+      })
 
-  if (this.attachments[item.key])
-    return B.resolve(this.attachments[item.key]);
+      .then(function () { return checksum(file); })
 
-  return this
-    .get([
-      this.subscription.library, 'items', item.key, 'file'
-    ].join('/'))
+      .then(function (actual) {
+        if (!md5 || actual === md5)
+          return touch(file, item.data.mtime);
 
-    .tap(function (message) {
-      this.attachments[item.key] = message;
-    }.bind(this));
+        if (attempt >= retries) {
+          throw new IntegrityError(
+            'checksum mismatch for attachment ' + item.key);
+        }
+
+        self.debug('checksum mismatch for attachment %s, retrying...',
+          item.key);
+
+        return download(file, attempt + 1);
+      });
+  }
+
+  return this.cache
+    .fetch(item.key, function (file) { return download(file, 0); })
+
+    .catch(IntegrityError, function (error) {
+      self.corrupted[item.key] = error;
+      throw error;
+    });
+};
+
+/**
+ * Returns a readable stream of an item's file attachment.
+ *
+ * @method stream
+ * @see attachment
+ *
+ * @param {Object} item The attachment item.
+ * @param {Boolean} [force = false]
+ *
+ * @return {Promise<ReadableStream>} The stream, or null
+ *   if the file has not changed.
+ */
+Session.prototype.stream = function (item, force) {
+  return this.attachment(item, force).then(function (file) {
+    return file && fs.createReadStream(file);
+  });
 };
 
 
@@ -250,7 +511,13 @@ Session.prototype.execute = co(function* (skip, retry) {
   try {
     yield this.update();
 
-    if (!skip) yield this.download();
+    if (!skip) {
+      yield this.download();
+      yield B.each(this.objects, this.retrieve.bind(this));
+
+      if (this.subscription.options.fulltext)
+        yield this.downloadFulltext();
+    }
 
   } catch (error) {
     if (!retry || !(error instanceof InterruptedError)) throw error;
@@ -283,36 +550,8 @@ Session.prototype.execute = co(function* (skip, retry) {
  *   for comparison.
  */
 Session.prototype.diff = function (versions, earlier) {
-  versions = versions || this.versions;
-  earlier  = earlier  || this.subscription.versions;
-
-  assert(typeof versions === 'object');
-  assert(typeof earlier  === 'object');
-
-  this.created.length = 0;
-  this.updated.length = 0;
-  this.deleted.length = 0;
-
-  var key;
-
-  // Current items have either been created,
-  // updated, or are unchanged.
-  for (key in versions) {
-    if (earlier.hasOwnProperty(key)) {
-
-      if (versions[key] > earlier[key])
-        this.updated.push(key);
-
-    } else {
-      this.created.push(key);
-    }
-  }
-
-  // Check earlier items for deletions.
-  for (key in earlier)
-    if (!versions.hasOwnProperty(key)) this.deleted.push(key);
-
-  return this;
+  return compare(this,
+    versions || this.versions, earlier || this.subscription.versions);
 };
 
 
@@ -322,6 +561,10 @@ Session.prototype.diff = function (versions, earlier) {
  * target this method may require multiple HTTP requests
  * to complete.
  *
+ * In incremental mode only the versions of modified items
+ * are requested; they are merged with the subscription's
+ * current versions and deleted items are removed.
+ *
  * @method update
  *
  * @throws {InterruptedError} If a version mismatch
@@ -331,14 +574,15 @@ Session.prototype.diff = function (versions, earlier) {
  */
 Session.prototype.update = co(function* () {
   var s = this.subscription;
+  var params = { limit: 50, format: 'versions' };
+
   this.version = undefined;
 
+  if (this.incremental) params.since = s.version;
+
   this.debug('requesting "%s"...', s.path);
 
-  var message = yield this.get(s.path, {
-    limit: 50,
-    format: 'versions'
-  });
+  var message = yield this.get(s.path, params);
 
   if (message.unmodified)
     return this.debug('not modified');
@@ -349,11 +593,12 @@ Session.prototype.update = co(function* () {
     message.version, s.version);
 
   this.version  = message.version;
-  this.versions = message.data;
+  this.versions = this.incremental ?
+    extend({}, s.versions, message.data) : message.data;
 
   if (message.multi) {
     while (!message.done) {
-      message = yield message.next();
+      message = yield this.next(message);
 
       this.check(message.version);
       assert.equal('json', message.type);
@@ -362,15 +607,116 @@ Session.prototype.update = co(function* () {
     }
   }
 
+  if (this.incremental) {
+    (yield this.deletions()).forEach(function (key) {
+      delete this.versions[key];
+    }, this);
+  }
+
   this.diff();
 
   this.debug('versions received: %d created, %d updated, %d deleted',
       this.created.length, this.updated.length, this.deleted.length);
 
+  yield B.each(this.objects, this.track.bind(this));
+
+  // Plugins which processed a resumed session
+  // have to process the new version again!
+  if (this.resumed !== this.version) this.dispatched.length = 0;
+
+  yield this.save();
+
   return this;
 });
 
 
+/**
+ * Fetches the latest versions of the library's objects
+ * of the given type (collections, searches or tags) and
+ * compares them with the subscription's versions.
+ *
+ * Note: Tags have no versions. A tag is considered
+ * updated when the number of items it is attached to
+ * changes. Because all tags are fetched, the tags'
+ * `items` will contain all of the library's tags.
+ *
+ * @method track
+ * @private
+ *
+ * @param {String} type The object type.
+ *
+ * @throws {InterruptedError} If a version mismatch
+ *   is detected during the update process.
+ *
+ * @return {Promise<Changes>} The changes of the given type.
+ */
+Session.prototype.track = co(function* (type) {
+  var changes = this[type];
+  var earlier = this.subscription.objects[type] || {};
+  var path    = [this.subscription.library, type].join('/');
+
+  this.debug('requesting %s...', type);
+
+  var message = yield this.get(path,
+    (type === 'tags') ? { limit: 100 } : { format: 'versions' });
+
+  if (message.unmodified) {
+    changes.versions = extend({}, earlier);
+
+  } else {
+    changes.versions = {};
+
+    while (message) {
+      this.check(message.version);
+      assert.equal('json', message.type);
+
+      if (type === 'tags')
+        message.data.forEach(changes.tag, changes);
+      else
+        extend(changes.versions, message.data);
+
+      message = (message.multi && !message.done) ?
+        yield this.next(message) : null;
+    }
+  }
+
+  compare(changes, changes.versions, earlier, true);
+
+  this.debug('%s received: %d created, %d updated, %d deleted', type,
+    changes.created.length, changes.updated.length, changes.deleted.length);
+
+  return changes;
+});
+
+
+/**
+ * Fetches the keys of all items deleted since the
+ * subscription's current version from Zotero.
+ *
+ * @method deletions
+ * @private
+ *
+ * @throws {InterruptedError} If a version mismatch
+ *   is detected.
+ *
+ * @return {Promise<Array<String>>} The deleted item keys.
+ */
+Session.prototype.deletions = co(function* () {
+  var path = [this.subscription.library, 'deleted'].join('/');
+
+  this.debug('requesting deleted items...');
+
+  var message = yield this.get(path, { since: this.subscription.version });
+
+  if (message.unmodified) return [];
+
+  this.check(message.version);
+  assert.equal('json', message.type);
+
+  return message.data.items || [];
+});
+
+
 /**
  * Checks whether or not the passed-in version matches the
  * version of the current sync session. If the version does
@@ -453,7 +799,7 @@ Session.prototype.download = co(function* (keys) {
 
     this.debug('requesting %d items...', batch.length);
 
-    yield this.receive(yield this.fetch(batch), keys);
+    yield this.store(yield this.receive(yield this.fetch(batch), keys));
   }
 
   this.debug('downloaded %d item(s)', keys.length);
@@ -462,6 +808,131 @@ Session.prototype.download = co(function* (keys) {
 });
 
 
+/**
+ * Downloads all created or updated library objects of the
+ * given type and stores them in the type's `items`.
+ *
+ * @method retrieve
+ * @private
+ *
+ * @param {String} type The object type.
+ *
+ * @throws {InterruptedError} If a version mismatch
+ *   is detected during the download process.
+ *
+ * @return {Promise<Changes>} The changes of the given type.
+ */
+Session.prototype.retrieve = co(function* (type) {
+  var changes = this[type], param = OBJECTS[type];
+  var path = [this.subscription.library, type].join('/');
+
+  // Tags are downloaded completely by `track`!
+  if (!param) return changes;
+
+  var keys = changes.created.concat(changes.updated)
+    .filter(function (key) {
+      var object = changes.items[key];
+      return !object || object.version !== changes.versions[key];
+    });
+
+  var i, ii, options, message;
+
+  for (i = 0, ii = keys.length; i < ii; i += MAX_BATCH_SIZE) {
+    options = { format: 'json' };
+    options[param] = keys.slice(i, i + MAX_BATCH_SIZE).join(',');
+
+    this.debug('requesting %d %s...', options[param].split(',').length, type);
+
+    message = yield this.get(path, options);
+
+    this.check(message.version);
+    assert.equal('json', message.type);
+
+    message.data.forEach(changes.add, changes);
+  }
+
+  return changes;
+});
+
+
+/**
+ * Downloads the full-text content of all items whose
+ * full-text has changed since the subscription's current
+ * version and stores it in `.fulltext`.
+ *
+ * Only the full-text content of the subscription's
+ * items (i.e., the items in `.versions`) is downloaded.
+ *
+ * Full-text content that is already present will be
+ * skipped unless its version has changed; this means
+ * you can safely call this method again after it has
+ * been interrupted.
+ *
+ * @method downloadFulltext
+ *
+ * @throws {InterruptedError} If a version mismatch
+ *   is detected during the download process.
+ *
+ * @return {Promise<this>}
+ */
+Session.prototype.downloadFulltext = co(function* () {
+  var library = this.subscription.library;
+
+  this.debug('requesting full-text versions...');
+
+  var message = yield this.get([library, 'fulltext'].join('/'), {
+    since: this.subscription.version
+  });
+
+  if (message.unmodified) return this;
+
+  this.check(message.version);
+  assert.equal('json', message.type);
+
+  // The full-text versions are library-wide; only
+  // the items of the subscription are downloaded!
+  var versions = message.data, items = this.versions || {};
+  var keys = Object.keys(versions).filter(function (k) {
+    return items.hasOwnProperty(k) && this.fulltextVersions[k] !== versions[k];
+  }, this);
+
+  this.debug('%d full-text record(s) to download', keys.length);
+
+  var i, ii, key;
+
+  for (i = 0, ii = keys.length; i < ii; ++i) {
+    key = keys[i];
+
+    try {
+      message = yield this.get([library, 'items', key, 'fulltext'].join('/'));
+
+    } catch (error) {
+      if (error.code !== 404) throw error;
+
+      this.debug('full-text of "%s" not found, skipping...', key);
+      continue;
+    }
+
+    // The full-text version differs from the version
+    // reported earlier only if it has been updated
+    // in the meantime.
+    if (message.version !== versions[key]) {
+      this.debug('full-text version mismatch detected: %d (was %d)!',
+        message.version, versions[key]);
+
+      throw new InterruptedError('version mismatch detected');
+    }
+
+    this.fulltext[key] = message.data.content;
+    this.fulltextVersions[key] = message.version;
+  }
+
+  this.debug('downloaded %d full-text record(s)', keys.length);
+
+  return this;
+});
+
+
 /**
  * @method receive
  * @private
@@ -517,8 +988,224 @@ Session.prototype.receive = co(function* (message, keys) {
 
 
 /**
- * @method debug
- * @private
+ * Creates a view of this session for a plugin which failed
+ * to process earlier changes, based on the plugin's cursor.
+ * The view's `created`, `updated` and `deleted` lists
+ * contain all changes since the plugin's last successful
+ * synchronization and its subscription's version is the
+ * cursor's version. Missing items are downloaded.
+ *
+ * Note: Collections, searches, tags and full-text content
+ * are not tracked per plugin.
+ *
+ * @method view
+ *
+ * @param {Object} cursor The plugin's cursor.
+ *
+ * @throws {InterruptedError} If a version mismatch
+ *   is detected during the download process.
+ *
+ * @return {Promise<Session>} The plugin's view.
+ */
+Session.prototype.view = co(function* (cursor) {
+  var view = Object.create(this);
+
+  // The view's plugin may have missed attachment files,
+  // therefore, the view must not skip unchanged files!
+  view.subscription = Object.create(this.subscription, {
+    version: { value: cursor.version || 0 },
+    checksums: { value: {} }
+  });
+
+  view.version  = this.modified ? this.version : this.subscription.version;
+  view.versions = this.versions || this.subscription.versions;
+
+  view.created  = [];
+  view.updated  = [];
+  view.deleted  = [];
+  view.filtered = [];
+
+  compare(view, view.versions, cursor.versions || {});
+
+  view.debug('plugin view of version %d: %d created, %d updated, %d deleted',
+    cursor.version, view.created.length, view.updated.length,
+    view.deleted.length);
+
+  yield view.download();
+
+  return view.filter();
+});
+
+/**
+ * Returns the private key/value store of the passed-in
+ * plugin for the session's subscription (see `State`).
+ *
+ * @method state
+ *
+ * @param {String|Object} plugin The plugin or its name.
+ * @return {State}
+ */
+Session.prototype.state = function (plugin) {
+  return this.subscription.state(plugin);
+};
+
+/**
+ * Returns a copy of the session which can be modified
+ * (e.g., by transformer plugins) without affecting the
+ * session itself: the copy has its own items, full-text
+ * content, collections, searches and tags and its own
+ * created, updated, deleted and filtered lists.
+ *
+ * @method fork
+ * @return {Session} The copy.
+ */
+Session.prototype.fork = function () {
+  var fork = Object.create(this);
+
+  fork.items = JSON.parse(JSON.stringify(this.items));
+
+  fork.created  = this.created.slice();
+  fork.updated  = this.updated.slice();
+  fork.deleted  = this.deleted.slice();
+  fork.filtered = this.filtered.slice();
+
+  fork.fulltext = extend({}, this.fulltext);
+
+  fork.collections = this.collections.copy();
+  fork.searches    = this.searches.copy();
+  fork.tags        = this.tags.copy();
+
+  return fork;
+};
+
+/**
+ * Applies the subscription's filter: all created or
+ * updated items which do not pass the filter are
+ * moved to `filtered`. Child items (attachments and
+ * notes) pass the filter if their parent item does;
+ * children whose parent is not part of the session
+ * are judged by their own data.
+ *
+ * @method filter
+ * @chainable
+ */
+Session.prototype.filter = function () {
+  var filter = new Filter(this.subscription.filter);
+  var items = this.items, filtered = this.filtered;
+
+  if (filter.empty) return this;
+
+  function matches(item) {
+    var parent = item && item.data && items[item.data.parentItem];
+    return filter.matches(parent || item);
+  }
+
+  function reject(list) {
+    for (var i = list.length - 1; i >= 0; --i) {
+      if (!matches(items[list[i]]))
+        filtered.unshift(list.splice(i, 1)[0]);
+    }
+  }
+
+  reject(this.updated);
+  reject(this.created);
+
+  this.debug('%d item(s) filtered out', filtered.length);
+
+  return this;
+};
+
+
+/**
+ * Restores the session state from the session's
+ * checkpoint, if there is one.
+ *
+ * @method restore
+ * @return {Promise<this>}
+ */
+Session.prototype.restore = co(function* () {
+  if (!this.checkpoint) return this;
+
+  var state = yield this.checkpoint.load();
+
+  if (!state || state.version <= this.subscription.version)
+    return this;
+
+  this.debug('resuming session of version %d (%d items downloaded)...',
+    state.version, Object.keys(state.items).length);
+
+  this.resumed    = state.version;
+  this.versions   = state.versions;
+  this.dispatched = state.dispatched;
+
+  var key, item;
+
+  for (key in state.items) {
+    item = this.items[key] = state.items[key];
+
+    // Children were received together with their parent!
+    if (item.children) {
+      item.children.forEach(function (child) {
+        this.items[child.key] = child;
+      }, this);
+    }
+  }
+
+  return this;
+});
+
+/**
+ * Saves the session's version, versions and dispatched
+ * plugins to the session's checkpoint, if present.
+ *
+ * @method save
+ * @return {Promise<this>}
+ */
+Session.prototype.save = function () {
+  if (!this.checkpoint) return B.resolve(this);
+  return this.checkpoint.save(this).return(this);
+};
+
+/**
+ * Saves the passed-in items (and their children) to
+ * the session's checkpoint, if present.
+ *
+ * @method store
+ * @private
+ *
+ * @param {Array<Object>} items The downloaded items.
+ * @return {Promise<this>}
+ */
+Session.prototype.store = function (items) {
+  if (!this.checkpoint) return B.resolve(this);
+  return this.checkpoint.store(items).return(this);
+};
+
+/**
+ * Removes the session's checkpoint, if present.
+ *
+ * @method finish
+ * @return {Promise<this>}
+ */
+Session.prototype.finish = function () {
+  if (!this.checkpoint) return B.resolve(this);
+  return this.checkpoint.clear().return(this);
+};
+
+/**
+ * Removes all attachment files cached by the session.
+ *
+ * @method cleanup
+ * @return {Promise<this>}
+ */
+Session.prototype.cleanup = function () {
+  return this.cache.clear().return(this);
+};
+
+
+/**
+ * @method debug
+ * @private
  */
 Session.prototype.debug = function (message) {
   debug.apply(null,
@@ -527,6 +1214,109 @@ Session.prototype.debug = function (message) {
   return this;
 };
 
+/**
+ * Keeps track of the library objects of a single type
+ * (collections, searches or tags) that have been created,
+ * updated or deleted during a synchronization session.
+ *
+ * @class Changes
+ * @constructor
+ *
+ * @param {String} type The object type.
+ */
+function Changes(type) {
+
+  /**
+   * @property type
+   * @type String
+   */
+  this.type = type;
+
+  /**
+   * The latest versions of all objects.
+   *
+   * @property versions
+   * @type Object
+   */
+  this.versions = undefined;
+
+  /**
+   * Objects downloaded during synchronization
+   * indexed by their keys (or names for tags).
+   *
+   * @property items
+   * @type Object
+   */
+  this.items = {};
+
+  /**
+   * @property created
+   * @type {Array<String>}
+   */
+  this.created = [];
+
+  /**
+   * @property updated
+   * @type {Array<String>}
+   */
+  this.updated = [];
+
+  /**
+   * @property deleted
+   * @type {Array<String>}
+   */
+  this.deleted = [];
+}
+
+/**
+ * @method add
+ * @chainable
+ *
+ * @param {Object} object The downloaded object.
+ */
+Changes.prototype.add = function (object) {
+  this.items[object.key] = object;
+  return this;
+};
+
+/**
+ * Adds a downloaded tag, using the number of items
+ * it is attached to as the tag's version.
+ *
+ * @method tag
+ * @chainable
+ *
+ * @param {Object} tag The downloaded tag.
+ */
+Changes.prototype.tag = function (tag) {
+  this.items[tag.tag] = tag;
+  this.versions[tag.tag] = (tag.meta && tag.meta.numItems) || 0;
+
+  return this;
+};
+
+/**
+ * Returns a copy of the changes which can be modified
+ * without affecting the original.
+ *
+ * @method copy
+ * @return {Changes} The copy.
+ */
+Changes.prototype.copy = function () {
+  var copy = new Changes(this.type);
+
+  if (this.versions) copy.versions = extend({}, this.versions);
+
+  copy.items = JSON.parse(JSON.stringify(this.items));
+
+  copy.created = this.created.slice();
+  copy.updated = this.updated.slice();
+  copy.deleted = this.deleted.slice();
+
+  return copy;
+};
+
+
 /**
  * The Synchronizer handles synchronizing Subscriptions
  * by fetching and comparing the latest version from
@@ -535,7 +1325,9 @@ Session.prototype.debug = function (message) {
  * @class Synchronizer
  * @constructor
  */
-function Synchronizer() {
+function Synchronizer(options) {
+  this.options = extend({}, config, options);
+
   /**
    * The Zotero client instance used by the Synchronizer
    * to connect to the Zotero API.
@@ -544,6 +1336,16 @@ function Synchronizer() {
    * @type {zotero.Client}
    */
   this.zotero = zotero;
+
+  /**
+   * The Governor shared by all sessions of this Synchronizer;
+   * it pauses and retries requests when Zotero asks us to
+   * back off.
+   *
+   * @property governor
+   * @type Governor
+   */
+  this.governor = new Governor(zotero);
 }
 
 
@@ -553,12 +1355,27 @@ function Synchronizer() {
  * will be updated, but not the data itself, and no plugins
  * will be called.
  *
+ * Plugins are synchronized independently: if a plugin fails,
+ * its cursor is kept at the last version it processed
+ * successfully; the next time the subscription is synchronized,
+ * the plugin will receive all changes since that version.
+ *
+ * If a previous synchronization of the subscription was
+ * interrupted (e.g., by a restart) the session is resumed
+ * from its checkpoint: items downloaded already will not
+ * be downloaded again and plugins which have processed
+ * the session already will be skipped.
+ *
  * @method synchronize
  *
  * @param {Subscription} sub The subscription to synchronize.
  * @param {Boolean} [skip = false] Whether or not to skip
  *   item download and plugin dispatch.
  *
+ * Note: the subscription is updated but not saved;
+ * callers must save it and then call `session.finish`
+ * to remove the session's checkpoint.
+ *
  * @throws {Subscription.UpdateError} If the Subscription
  *   has been removed during the sync process.
  *
@@ -568,18 +1385,34 @@ function Synchronizer() {
 Synchronizer.prototype.synchronize = co(function* (sub, skip) {
   var session = new Session(sub, this);
 
+  if (this.options.checkpoint)
+    session.checkpoint = new Checkpoint(sub.id);
+
   debug('[%s] processing subscription...', sub.id);
 
   sub.touch();
 
+  yield session.restore();
   yield session.execute(skip);
 
-  if (session.modified) {
-    if (!skip) yield this.dispatch(session);
+  try {
+    // Skipping fast-forwards all plugins as well!
+    if (skip)
+      sub.cursors = {};
+
+    else if (session.modified || Object.keys(sub.cursors).length)
+      yield this.dispatch(session.filter());
+
+  } finally {
+    yield session.cleanup();
+  }
 
+  if (session.modified) {
     sub.update({
       version: session.version,
-      versions: session.versions
+      versions: session.versions,
+      objects: objectVersions(session),
+      checksums: checksums(session)
     });
   }
 
@@ -608,62 +1441,245 @@ Synchronizer.prototype.update = function (sub) {
  * Dispatches the synchronization `session` to all
  * plugins configured for the associated subscription.
  *
+ * Plugins are identified by their `id` or, by default,
+ * by their name. Plugins which have a cursor receive a
+ * view of the session containing all changes since their
+ * cursor's version. If a plugin fails, this does not
+ * affect the other plugins: the failure is recorded in
+ * the session and the plugin's cursor is kept (or created)
+ * in the subscription.
+ *
+ * The subscription's plugins form an ordered pipeline:
+ * transformer plugins (plugins of type `transformer`)
+ * rewrite a copy of the session which is then passed on
+ * to all plugins further down the pipeline. If a
+ * transformer fails, all plugins depending on it fail
+ * as well.
+ *
+ * Plugins between two transformers are run in parallel,
+ * up to the subscription's `concurrency` option (or the
+ * global default). Plugins running in parallel share the
+ * session's attachment cache, therefore, each file is
+ * downloaded only once.
+ *
+ * Plugins which do not finish within the subscription's
+ * `timeout` option (or the global default) are cancelled
+ * and fail with a timeout error.
+ *
  * @method dispatch
  * @private
  *
  * @return {Promise<this>}
  */
 Synchronizer.prototype.dispatch = co(function* (session) {
+  var self = this;
+  var sub = session.subscription;
+  var concurrency = sub.options.concurrency || this.options.concurrency || 1;
+
+  var stage = [], pipeline = [], output;
+
+  debug('[%s] dispatching sync session data to %d plugin(s) (%d at a time)...',
+    session.id, sub.plugins.length, concurrency);
+
+  // Returns a promise for the session (or the plugin
+  // view for the passed-in cursor) transformed by all
+  // transformers in the pipeline so far.
+  function input(cursor, transformers) {
+    if (cursor) {
+      return session.view(cursor).then(function (view) {
+        return self.transform(view, transformers);
+      });
+    }
 
-  debug('[%s] dispatching sync session data to plugins...', session.id);
+    return output || (output = self.transform(session, transformers));
+  }
 
-  yield B
-    .map(session.subscription.plugins, function (plugin) {
+  function flush() {
+    var sinks = stage, transformers = pipeline.slice();
 
-      if (!plugins.available[plugin.name]) {
-        debug('[%s] plugin %s not available, skipping...',
-          session.id, plugin.name);
+    stage = [];
 
-        return null;
-      }
+    return B.map(sinks, function (plugin) {
+      return self.deliver(session, plugin, function (cursor) {
+        return input(cursor, transformers);
+      });
+    }, { concurrency: concurrency });
+  }
 
-      debug('[%s] processing data with "%s" plugin...',
-        session.id, plugin.name);
+  for (var i = 0, ii = sub.plugins.length; i < ii; ++i) {
+    if (isTransformer(sub.plugins[i])) {
+      yield flush();
 
-      // Wrap plugin invocation in a promise; this is
-      // necessary, because we want to allow plugin
-      // authors to choose between promises and callbacks.
-      return new B(function (resolve, reject) {
+      pipeline.push(sub.plugins[i]);
+      output = null;
 
-        function callback(error) {
-          if (error) return reject(error);
-          resolve();
-        }
+    } else {
+      stage.push(sub.plugins[i]);
+    }
+  }
 
-        var done = plugins
-          .use(plugin.name, plugin.options || {})
-          .process(session, callback);
+  yield flush();
 
+  debug('[%s] finished processing plugins', session.id);
 
-        if (done.then)
-          done.then(resolve, reject);
+  return this;
+});
 
-      }).catch(function (error) {
-        debug('[%s] plugin %s failed: %s',
-            session.id, plugin.name, error.message);
-        trace(error.stack);
-        throw error;
-      });
+/**
+ * Delivers the session data to a single (sink) plugin.
+ *
+ * @method deliver
+ * @private
+ *
+ * @param {Session} session
+ * @param {Object} plugin The plugin's configuration.
+ * @param {Function} input Returns a promise for the plugin's
+ *   input data when called with the plugin's cursor.
+ *
+ * @return {Promise}
+ */
+Synchronizer.prototype.deliver = function (session, plugin, input) {
+  var self = this;
+  var sub = session.subscription;
+  var id = plugin.id || plugin.name;
+  var cursor = sub.cursors[id];
 
-    }, { concurrency: 1 });
+  if (!plugins.available[plugin.name]) {
+    debug('[%s] plugin %s not available, skipping...',
+      session.id, plugin.name);
 
+    return B.resolve(null);
+  }
 
-  debug('[%s] finished processing plugins', session.id);
+  if (session.dispatched.indexOf(id) !== -1) {
+    debug('[%s] plugin %s already processed the session, skipping...',
+      session.id, id);
 
-  return this;
+    return B.resolve(null);
+  }
+
+  if (!cursor && !session.modified) return B.resolve(null);
+
+  debug('[%s] processing data with "%s" plugin...',
+    session.id, plugin.name);
+
+  return input(cursor)
+
+    .then(function (data) {
+      return self.run(plugin, data);
+    })
+
+    .then(function () {
+      delete sub.cursors[id];
+
+      session.dispatched.push(id);
+      return session.save();
+    })
+
+    .catch(function (error) {
+      error = error || new Error('unknown error');
+
+      debug('[%s] plugin %s failed: %s',
+          session.id, id, error.message);
+      trace(error.stack);
+
+      session.failed[id] = error;
+
+      sub.cursors[id] = {
+        version: cursor ? cursor.version : sub.version,
+        versions: cursor ? cursor.versions : sub.versions,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    });
+};
+
+/**
+ * Passes a copy of the session through the passed-in
+ * list of transformer plugins. The session itself
+ * is never modified.
+ *
+ * @method transform
+ * @private
+ *
+ * @param {Session} session
+ * @param {Array<Object>} transformers The configurations
+ *   of the transformer plugins.
+ *
+ * @return {Promise<Session>} The transformed copy.
+ */
+Synchronizer.prototype.transform = co(function* (session, transformers) {
+  var id, plugin, fork, result, data = session;
+
+  for (var i = 0, ii = transformers.length; i < ii; ++i) {
+    plugin = transformers[i];
+    id = plugin.id || plugin.name;
+
+    debug('[%s] transforming data with "%s" plugin...',
+      session.id, plugin.name);
+
+    try {
+      fork = data.fork();
+      result = yield this.run(plugin, fork);
+
+      // Transformers may either modify the copy
+      // in place or return a new Session.
+      data = (result instanceof Session) ? result : fork;
+
+    } catch (reason) {
+      var error = reason || new Error('unknown error');
+
+      debug('[%s] transformer %s failed: %s',
+        session.id, id, error.message);
+      trace(error.stack);
+
+      session.failed[id] = error;
+
+      throw new Error(
+        'transformer ' + id + ' failed: ' + error.message);
+    }
+  }
+
+  return data;
 });
 
+/**
+ * Runs the plugin for the passed-in configuration with
+ * the passed-in session data. Plugins which do not finish
+ * within the subscription's `timeout` are cancelled; the
+ * promise is rejected once the cancelled plugin settled,
+ * so that it never runs after the session is finished.
+ * A `timeout` of 0 disables the limit.
+ *
+ * @method run
+ * @private
+ *
+ * @param {Object} plugin The plugin's configuration.
+ * @param {Session} data
+ *
+ * @return {Promise} The plugin's result.
+ */
+Synchronizer.prototype.run = function (plugin, data) {
+  var sub = data.subscription;
+  var timeout = (sub.options.timeout === undefined) ?
+    this.options.timeout : sub.options.timeout;
 
+  var instance = plugins.use(plugin.name, plugin.options || {});
+  instance.id = plugin.id || plugin.name;
+
+  var processed = instance.invoke('process', data);
+
+  if (!timeout) return processed;
+
+  return processed
+    .timeout(timeout,
+      'timed out after ' + timeout / 1000 + 's and was aborted')
+
+    .catch(B.TimeoutError, function (error) {
+      instance.cancel(error);
+      return processed.catch(noop).throw(error);
+    });
+};
 
 
 // --- Singleton ---
@@ -689,8 +1705,118 @@ inherits(InterruptedError, Error);
 
 InterruptedError.prototype.resume = 5000;
 
+/**
+ * An IntegrityError is thrown if a downloaded attachment
+ * file does not match the item's checksum.
+ *
+ * @class IntegrityError
+ * @extends Error
+ */
+function IntegrityError(message) {
+  this.message = message;
+  this.name = 'IntegrityError';
+
+  Error.captureStackTrace(this, IntegrityError);
+}
+
+inherits(IntegrityError, Error);
+
 // --- Helpers ---
 
+// Compares the passed-in versions and updates the
+// target's `created`, `updated` and `deleted` lists.
+// Objects count as updated if their version increased,
+// or, if `exact` is set, if their version changed (tag
+// versions are item counts, which may decrease).
+function compare(target, versions, earlier, exact) {
+  assert(typeof versions === 'object');
+  assert(typeof earlier  === 'object');
+
+  target.created.length = 0;
+  target.updated.length = 0;
+  target.deleted.length = 0;
+
+  var key;
+
+  // Current items have either been created,
+  // updated, or are unchanged.
+  for (key in versions) {
+    if (earlier.hasOwnProperty(key)) {
+
+      if (exact ?
+          versions[key] !== earlier[key] : versions[key] > earlier[key])
+        target.updated.push(key);
+
+    } else {
+      target.created.push(key);
+    }
+  }
+
+  // Check earlier items for deletions.
+  for (key in earlier)
+    if (!versions.hasOwnProperty(key)) target.deleted.push(key);
+
+  return target;
+}
+
+function objectVersions(session) {
+  var objects = extend({}, session.subscription.objects);
+
+  session.objects.forEach(function (type) {
+    objects[type] = session[type].versions;
+  });
+
+  return objects;
+}
+
+// Returns the subscription's attachment checksums
+// updated with the checksums of the session's items.
+function checksums(session) {
+  var result = extend({}, session.subscription.checksums);
+
+  session.deleted.forEach(function (key) { delete result[key]; });
+
+  session.created.concat(session.updated).forEach(function (key) {
+    var item = session.items[key];
+    var md5 = item && item.data && item.data.md5;
+
+    if (md5 && !session.corrupted[key])
+      result[key] = md5;
+    else
+      delete result[key];
+  });
+
+  return result;
+}
+
+// Computes the md5 checksum of a file.
+function checksum(file) {
+  return new B(function (resolve, reject) {
+    var hash = crypto.createHash('md5');
+
+    fs.createReadStream(file)
+      .on('error', reject)
+      .on('data', function (chunk) { hash.update(chunk); })
+      .on('end', function () { resolve(hash.digest('hex')); });
+  });
+}
+
+// Sets a file's modification time (in ms), if given.
+function touch(file, mtime) {
+  if (!mtime) return B.resolve(file);
+
+  var time = new Date(parseInt(mtime, 10));
+
+  return B.fromNode(function (done) {
+    fs.utimes(file, time, time, done);
+  }).return(file);
+}
+
+function isTransformer(plugin) {
+  var desc = plugins.available[plugin.name];
+  return !!desc && desc.type === 'transformer';
+}
+
 function getParent(item) {
   return item && item.data && item.data.parentItem;
 }
@@ -701,7 +1827,10 @@ function hasChildren(item) {
 
 
 // --- Exports ---
+Synchronizer.Changes          = Changes;
+Synchronizer.Governor         = Governor;
 Synchronizer.Session          = Session;
 Synchronizer.InterruptedError = InterruptedError;
+Synchronizer.IntegrityError   = IntegrityError;
 
 module.exports = Synchronizer;
@@ -1,6 +1,11 @@
 'use strict';
 
 // --- Module Dependencies ---
+var fs     = require('fs');
+var http   = require('http');
+var https  = require('https');
+var parse  = require('url').parse;
+
 var B      = require('bluebird');
 var zotero = require('zotero');
 var common = require('./common');
@@ -16,6 +21,9 @@ zotero.Client.defaults
 
 var client = new zotero.Client();
 
+// Limit the number of redirects to follow to avoid loops!
+var MAX_REDIRECTS = 5;
+
 client.stream = function (options) {
   var stream = new zotero.Stream();
 
@@ -26,5 +34,73 @@ client.stream = function (options) {
   return stream;
 };
 
+/**
+ * Downloads the file at `path` and writes it to `file`.
+ * Unlike `get`, the response body is streamed to disk
+ * instead of being buffered in memory. Redirects (e.g.,
+ * to the file storage servers) are followed.
+ *
+ * If the response status is not OK, the promise is
+ * rejected with an error whose `code` is the status
+ * and whose `retry` is the `Retry-After` interval.
+ *
+ * @method download
+ *
+ * @param {String} path The API path.
+ * @param {Object} [options] Request parameters.
+ * @param {Object} [headers] Request headers.
+ * @param {String} file The destination file path.
+ *
+ * @return {Promise<Object>} The file `path`, and the
+ *   response's status `code` and `headers`.
+ */
+client.download = function (path, options, headers, file) {
+  var self = this;
+
+  return new B(function (resolve, reject) {
+
+    function request(opts, redirects) {
+      var req = ((/^https/i).test(opts.protocol) ? https : http)
+        .request(opts, function (res) {
+          var code = res.statusCode, error;
+          var location = res.headers.location;
+
+          if ((code === 301 || code === 302) && location &&
+            redirects < MAX_REDIRECTS) {
+
+            res.resume();
+            return request(parse(location), redirects + 1);
+          }
+
+          if (code < 200 || code >= 300) {
+            res.resume();
+
+            error = new Error('download failed with status ' + code);
+            error.code  = code;
+            error.retry = 1000 * parseInt(res.headers['retry-after'], 10) || 0;
+
+            return reject(error);
+          }
+
+          res
+            .pipe(fs.createWriteStream(file))
+            .on('error', reject)
+            .on('finish', function () {
+              resolve({ path: file, code: code, headers: res.headers });
+            });
+        });
+
+      req.on('error', reject);
+      req.end();
+    }
+
+    request(self.configure({
+      method: 'GET',
+      path: path + self.query(options),
+      headers: headers
+    }), 0);
+  });
+};
+
 // --- Exports ---
 module.exports = client;
@@ -0,0 +1,77 @@
+'use strict';
+
+var chai   = require('chai');
+var sinon  = require('sinon');
+var expect = chai.expect;
+
+chai.use(require('chai-as-promised'));
+chai.use(require('sinon-chai'));
+
+var fs = require('fs');
+var os = require('os');
+
+var B = require('bluebird');
+
+var Cache = require('../lib/cache');
+
+describe('Cache', function () {
+  var cache;
+
+  function write(path) {
+    return B.fromNode(function (cb) { fs.writeFile(path, 'data', cb); });
+  }
+
+  beforeEach(function () { cache = new Cache('test'); });
+  afterEach(function () { return cache.clear(); });
+
+  it('uses the system\'s temporary directory by default', function () {
+    expect(cache.tmp).to.eql(os.tmpdir());
+    expect(cache.root).to.be.undefined;
+  });
+
+  describe('#fetch', function () {
+    it('creates the cache directory on demand', function () {
+      return cache.fetch('a', write).then(function (path) {
+        expect(cache.root).to.be.a('string');
+        expect(path.indexOf(cache.root)).to.equal(0);
+        expect(fs.readFileSync(path, 'utf-8')).to.eql('data');
+      });
+    });
+
+    it('calls the write function only once per key', function () {
+      var fn = sinon.spy(write);
+
+      return B.all([cache.fetch('a', fn), cache.fetch('a', fn)])
+        .then(function (paths) {
+          expect(paths[0]).to.eql(paths[1]);
+          expect(fn).to.have.been.calledOnce;
+        });
+    });
+
+    it('does not cache failed writes', function () {
+      var fn = sinon.spy(function () { throw new Error('failed'); });
+
+      return expect(cache.fetch('a', fn))
+        .to.eventually.be.rejectedWith('failed')
+        .then(function () {
+          expect(cache.files).to.not.have.property('a');
+        });
+    });
+  });
+
+  describe('#clear', function () {
+    it('removes the cache directory', function () {
+      var root;
+
+      return cache.fetch('a', write)
+        .then(function () {
+          root = cache.root;
+          return cache.clear();
+        })
+        .then(function () {
+          expect(cache.root).to.be.undefined;
+          expect(fs.existsSync(root)).to.be.false;
+        });
+    });
+  });
+});
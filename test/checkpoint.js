@@ -0,0 +1,96 @@
+'use strict';
+
+var chai   = require('chai');
+var sinon  = require('sinon');
+var expect = chai.expect;
+
+chai.use(require('chai-as-promised'));
+chai.use(require('sinon-chai'));
+
+var B = require('bluebird');
+
+var Checkpoint = require('../lib/checkpoint');
+
+describe('Checkpoint', function () {
+  var checkpoint, db;
+
+  beforeEach(function () {
+    checkpoint = new Checkpoint('abc');
+    db = checkpoint.db;
+
+    sinon.stub(db, 'hmset', function () { return B.resolve('OK'); });
+    sinon.stub(db, 'del', function () { return B.resolve(1); });
+  });
+
+  afterEach(function () {
+    db.hmset.restore();
+    db.del.restore();
+
+    if (db.hgetall.restore) db.hgetall.restore();
+  });
+
+  it('uses namespaced keys', function () {
+    expect(checkpoint.key).to.eql('checkpoint:abc');
+    expect(checkpoint.items).to.eql('checkpoint:abc:items');
+  });
+
+  describe('#load', function () {
+    it('returns null if there is no checkpoint', function () {
+      sinon.stub(db, 'hgetall', function () { return B.resolve(null); });
+      return expect(checkpoint.load()).to.eventually.be.null;
+    });
+
+    it('returns the parsed session state', function () {
+      sinon.stub(db, 'hgetall', function (key) {
+        return B.resolve(key === checkpoint.key ?
+          { version: '3', versions: '{"a":3}', dispatched: '["fs"]' } :
+          { a: '{"key":"a","version":3}' });
+      });
+
+      return checkpoint.load().then(function (state) {
+        expect(state.version).to.equal(3);
+        expect(state.versions).to.eql({ a: 3 });
+        expect(state.dispatched).to.eql(['fs']);
+        expect(state.items).to.have.deep.property('a.version', 3);
+      });
+    });
+  });
+
+  describe('#save', function () {
+    it('saves version, versions and dispatched plugins', function () {
+      return checkpoint
+        .save({ version: 2, versions: { a: 2 }, dispatched: [] })
+        .then(function () {
+          expect(db.hmset).to.have.been.calledWith('checkpoint:abc', [
+            'version', 2, 'versions', '{"a":2}', 'dispatched', '[]'
+          ]);
+        });
+    });
+  });
+
+  describe('#store', function () {
+    it('saves the items by key', function () {
+      return checkpoint
+        .store([{ key: 'a' }])
+        .then(function () {
+          expect(db.hmset).to.have.been
+            .calledWith('checkpoint:abc:items', ['a', '{"key":"a"}']);
+        });
+    });
+
+    it('does nothing if there are no items', function () {
+      return checkpoint.store([]).then(function () {
+        expect(db.hmset).to.not.have.been.called;
+      });
+    });
+  });
+
+  describe('#clear', function () {
+    it('removes the checkpoint', function () {
+      return checkpoint.clear().then(function () {
+        expect(db.del).to.have.been
+          .calledWith('checkpoint:abc', 'checkpoint:abc:items');
+      });
+    });
+  });
+});
@@ -13,12 +13,38 @@ var Controller = require('../lib/controller');
 var controller = Controller.instance;
 
 var Subscription = require('../lib/subscription');
+var plugins = require('../lib/plugins');
+var sync = require('../lib/sync').instance;
 
 describe('Controller', function () {
   it('is a Controller', function () {
     expect(controller).to.be.instanceof(Controller);
   });
 
+  describe('#reload', function () {
+    beforeEach(function () {
+      sinon.stub(plugins, 'hook', function () { return B.resolve({}); });
+      sinon.stub(plugins, 'update');
+    });
+
+    afterEach(function () {
+      plugins.hook.restore();
+      plugins.update.restore();
+    });
+
+    it('tears down, reloads and sets up all plugins', function () {
+      return controller.reload()
+        .then(function () {
+          expect(plugins.hook.firstCall).to.have.been.calledWith('teardown');
+          expect(plugins.hook.secondCall).to.have.been.calledWith('setup');
+
+          expect(plugins.update).to.have.been.calledOnce;
+          expect(plugins.update.firstCall
+            .calledBefore(plugins.hook.secondCall)).to.be.true;
+        });
+    });
+  });
+
   describe('subscriptions', function () {
     beforeEach(function () {
       sinon.stub(Subscription.prototype, 'save', function () {
@@ -34,12 +60,14 @@ describe('Controller', function () {
       });
 
       sinon.stub(controller, 'notify');
+      sinon.stub(plugins, 'hook', function () { return B.resolve({}); });
 
       controller.options.listen = false;
     });
 
     afterEach(function () {
       controller.notify.restore();
+      plugins.hook.restore();
       Subscription.prototype.save.restore();
       Subscription.prototype.destroy.restore();
       Subscription.load.restore();
@@ -57,6 +85,13 @@ describe('Controller', function () {
           });
       });
 
+      it('calls the subscribed plugin hook', function () {
+        return controller.subscribe({ url: 'bar' })
+          .then(function (s) {
+            expect(plugins.hook).to.have.been.calledWith('subscribed', s);
+          });
+      });
+
       it('notifies sync on success', function () {
         expect(controller.notify).to.not.have.been.called;
 
@@ -66,6 +101,27 @@ describe('Controller', function () {
           });
       });
 
+      it('fails if a plugin configuration is invalid', function () {
+        plugins.add({
+          name: 'strict',
+          process: function () {},
+          parameters: {
+            type: 'object',
+            required: ['root'],
+            properties: { root: { type: 'string' } }
+          }
+        });
+
+        return expect(controller.subscribe({
+          url: 'bar', plugins: [{ name: 'strict', options: {} }]
+        }))
+          .to.eventually.be.rejectedWith(Subscription.ValidationError)
+          .then(function () {
+            plugins.remove('strict');
+            expect(Subscription.prototype.save).to.not.have.been.called;
+          });
+      });
+
       it('eventually returns a new subscription', function () {
         return expect(controller.subscribe({ url: 'bar' }))
           .to.eventually.be.instanceof(Subscription)
@@ -84,12 +140,73 @@ describe('Controller', function () {
           });
       });
 
+      it('calls the unsubscribed plugin hook', function () {
+        return controller.unsubscribe({ id: 'baz' })
+          .then(function (s) {
+            expect(plugins.hook).to.have.been.calledWith('unsubscribed', s);
+          });
+      });
+
       it('eventually returns the destroyed subscription', function () {
         return expect(controller.unsubscribe({ id: 'bar' }))
           .to.eventually.be.instanceof(Subscription)
           .and.to.have.property('id', 'bar');
       });
     });
+
+    describe('#synchronize', function () {
+      var session;
+
+      beforeEach(function () {
+        session = { finish: sinon.spy(function () { return B.resolve(); }) };
+
+        sinon.stub(sync, 'synchronize', function () {
+          return B.resolve(session);
+        });
+      });
+
+      afterEach(function () { sync.synchronize.restore(); });
+
+      it('clears the checkpoint after saving the subscription', function () {
+        return controller.synchronize({ id: 'baz' })
+          .then(function () {
+            expect(Subscription.prototype.save).to.have.been.calledOnce;
+            expect(session.finish).to.have.been.calledOnce;
+
+            expect(Subscription.prototype.save)
+              .to.have.been.calledBefore(session.finish);
+          });
+      });
+
+      it('reports throttling once to each job in progress', function () {
+        var a = { id: 1, type: 'sync', log: sinon.spy() };
+        var b = { id: 2, type: 'sync', log: sinon.spy() };
+
+        sync.synchronize.restore();
+        sinon.stub(sync, 'synchronize', function () {
+          return B.delay(10).return(session);
+        });
+
+        var jobs = B.all([
+          controller.synchronize({ id: 'foo' }, a),
+          controller.synchronize({ id: 'bar' }, b)
+        ]);
+
+        expect(sync.governor.listeners('throttled')).to.have.length(1);
+        sync.governor.emit('throttled', 2000, 'backoff');
+
+        return jobs.then(function () {
+          expect(a.log).to.have.been.calledWith(
+            'Zotero api throttled (%s): pausing for %ds...', 'backoff', 2);
+          expect(b.log).to.have.been.calledWith(
+            'Zotero api throttled (%s): pausing for %ds...', 'backoff', 2);
+
+          expect(a.log.withArgs(sinon.match(/throttled/))).to.have.been
+            .calledOnce;
+          expect(sync.governor.listeners('throttled')).to.be.empty;
+        });
+      });
+    });
   });
 
 });
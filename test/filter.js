@@ -0,0 +1,123 @@
+'use strict';
+
+var chai   = require('chai');
+var expect = chai.expect;
+
+var Filter = require('../lib/filter');
+
+describe('Filter', function () {
+  var item;
+
+  beforeEach(function () {
+    item = {
+      key: 'ABC',
+      data: {
+        itemType: 'book',
+        title: 'Moby Dick',
+        dateAdded: '2015-03-01T12:00:00Z',
+        creators: [
+          { lastName: 'Melville' }, { lastName: 'Smith' }
+        ],
+        tags: [{ tag: 'fiction' }, { tag: 'whales' }],
+        collections: ['C1']
+      }
+    };
+  });
+
+  function filter(rules) {
+    return new Filter(rules).matches(item);
+  }
+
+  it('fails for unknown rules or criteria', function () {
+    expect(function () { return new Filter({ only: {} }); }).to.throw();
+
+    expect(function () {
+      return new Filter({ include: { color: 'red' } });
+    }).to.throw(/unknown filter criterion/);
+  });
+
+  it('fails for invalid regular expressions or dates', function () {
+    expect(function () {
+      return Filter.validate({ include: { field: { 'data.title': '/[/' } } });
+    }).to.throw(/invalid regular expression/);
+
+    expect(function () {
+      return Filter.validate({ exclude: { dateAdded: { after: 'never' } } });
+    }).to.throw(/invalid date/);
+
+    expect(function () {
+      return Filter.validate({ exclude: { dateAdded: '2015-01-01' } });
+    }).to.throw(/must be an object/);
+  });
+
+  it('is empty by default', function () {
+    expect(new Filter().empty).to.be.true;
+    expect(new Filter({ include: { tag: 'a' } }).empty).to.be.false;
+  });
+
+  it('matches everything by default', function () {
+    expect(filter()).to.be.true;
+  });
+
+  describe('itemType', function () {
+    it('includes and excludes items by type', function () {
+      expect(filter({ include: { itemType: 'book' } })).to.be.true;
+      expect(filter({ include: { itemType: ['note'] } })).to.be.false;
+      expect(filter({ exclude: { itemType: ['note', 'book'] } })).to.be.false;
+    });
+  });
+
+  describe('tag', function () {
+    it('includes and excludes items by tag', function () {
+      expect(filter({ include: { tag: ['whales', 'x'] } })).to.be.true;
+      expect(filter({ include: { tag: 'x' } })).to.be.false;
+      expect(filter({ exclude: { tag: 'fiction' } })).to.be.false;
+    });
+  });
+
+  describe('collection', function () {
+    it('includes and excludes items by collection', function () {
+      expect(filter({ include: { collection: 'C1' } })).to.be.true;
+      expect(filter({ exclude: { collection: 'C2' } })).to.be.true;
+    });
+  });
+
+  describe('dateAdded', function () {
+    it('includes and excludes items by date added', function () {
+      expect(filter({ include: { dateAdded: { after: '2015-01-01' } } }))
+        .to.be.true;
+
+      expect(filter({ include: { dateAdded: { before: '2015-01-01' } } }))
+        .to.be.false;
+
+      expect(filter({
+        exclude: { dateAdded: { after: '2015-01-01', before: '2016-01-01' } }
+      })).to.be.false;
+    });
+  });
+
+  describe('field', function () {
+    it('matches field values', function () {
+      expect(filter({ include: { field: { 'data.title': 'Moby Dick' } } }))
+        .to.be.true;
+
+      expect(filter({ include: { field: { 'data.title': 'Moby' } } }))
+        .to.be.false;
+    });
+
+    it('matches regular expressions', function () {
+      expect(filter({ include: { field: { 'data.title': '/^moby/i' } } }))
+        .to.be.true;
+    });
+
+    it('resolves paths through arrays', function () {
+      expect(filter({
+        include: { field: { 'data.creators.lastName': 'Smith' } }
+      })).to.be.true;
+    });
+  });
+
+  it('requires all include criteria to match', function () {
+    expect(filter({ include: { itemType: 'book', tag: 'x' } })).to.be.false;
+  });
+});
@@ -0,0 +1,160 @@
+'use strict';
+
+var chai   = require('chai');
+var sinon  = require('sinon');
+var expect = chai.expect;
+
+chai.use(require('chai-as-promised'));
+chai.use(require('sinon-chai'));
+
+var B = require('bluebird');
+
+var Governor = require('../lib/governor');
+
+describe('Governor', function () {
+  var governor, client;
+
+  // Returns a request function which fails with the
+  // passed-in status codes before returning 'ok'.
+  function responses() {
+    var codes = Array.prototype.slice.call(arguments);
+
+    return sinon.spy(function () {
+      return B.delay(0).then(function () {
+        if (!codes.length) return 'ok';
+
+        var error = new Error('throttled');
+        error.code = codes.shift();
+
+        throw error;
+      });
+    });
+  }
+
+  beforeEach(function () {
+    client = { state: { retry: 0, backoff: 0 } };
+    governor = new Governor(client, { retries: 2, backoff: 1, jitter: 0 });
+  });
+
+  it('is not limited by default', function () {
+    expect(governor.limited).to.equal(0);
+  });
+
+  describe('#pause', function () {
+    it('limits the governor', function () {
+      governor.pause(1000);
+      expect(governor.limited).to.be.above(0);
+    });
+
+    it('emits a throttled event', function () {
+      var spy = sinon.spy();
+
+      governor.on('throttled', spy);
+      governor.pause(1000, 'overload');
+
+      expect(spy).to.have.been.calledWith(1000, 'overload');
+    });
+
+    it('does not shorten a longer pause', function () {
+      var spy = sinon.spy();
+
+      governor.pause(5000);
+      governor.on('throttled', spy);
+      governor.pause(1000);
+
+      expect(spy).to.not.have.been.called;
+      expect(governor.limited).to.be.above(1000);
+    });
+  });
+
+  describe('#request', function () {
+    it('sends the request immediately if not limited', function () {
+      var fn = responses();
+
+      governor.request(fn);
+      expect(fn).to.have.been.called;
+    });
+
+    it('resolves with the message', function () {
+      var message = {};
+
+      return expect(governor.request(function () { return message; }))
+        .to.eventually.equal(message);
+    });
+
+    it('pauses when the message has a Backoff header', function () {
+      return governor
+        .request(function () { return { headers: { backoff: '3' } }; })
+        .then(function () {
+          expect(governor.limited).to.be.above(2000);
+        });
+    });
+
+    it('retries throttled requests', function () {
+      var fn = responses(429, 503);
+
+      return governor.request(fn)
+        .then(function (message) {
+          expect(message).to.equal('ok');
+          expect(fn).to.have.been.calledThrice;
+        });
+    });
+
+    it('uses the client\'s Retry-After interval', function () {
+      var spy = sinon.spy();
+      var fn = responses(429);
+
+      client.state.retry = 2;
+
+      governor.on('throttled', spy);
+
+      return governor.request(fn)
+        .then(function () {
+          expect(spy).to.have.been
+            .calledWith(2, 'too many requests', 1);
+        });
+    });
+
+    it('prefers the error\'s Retry-After interval', function () {
+      var spy = sinon.spy();
+
+      client.state.retry = 2;
+      governor.on('throttled', spy);
+
+      return governor
+        .request(function () {
+          if (spy.called) return 'ok';
+
+          var error = new Error('throttled');
+          error.code = 503;
+          error.retry = 3;
+
+          throw error;
+        })
+        .then(function () {
+          expect(spy).to.have.been
+            .calledWith(3, 'service unavailable', 1);
+        });
+    });
+
+    it('fails after max retries', function () {
+      var fn = responses(429, 429, 429);
+
+      return expect(governor.request(fn))
+        .to.eventually.be.rejectedWith(Error, 'throttled')
+        .then(function () {
+          expect(fn).to.have.been.calledThrice;
+        });
+    });
+
+    it('does not retry other errors', function () {
+      var fn = responses(404);
+
+      return expect(governor.request(fn))
+        .to.eventually.be.rejected
+        .then(function () {
+          expect(fn).to.have.been.calledOnce;
+        });
+    });
+  });
+});
@@ -118,7 +118,7 @@ describe('API', function () {
           expect(Subscription.load).to.have.been.calledThrice;
 
           expect(res.body).to.have.length(ids.length);
-          expect(res.body[0]).to.have.keys(['id', 'url', 'key', 'version']);
+          expect(res.body[0]).to.have.keys(['id', 'url', 'key', 'version', 'failures']);
         });
     });
 
@@ -244,7 +244,7 @@ describe('API', function () {
               .and.to.be.json;
 
             expect(res.body).to.have.property('id', 'foo');
-            expect(res.body).to.have.keys(['id', 'url', 'key', 'version']);
+            expect(res.body).to.have.keys(['id', 'url', 'key', 'version', 'failures']);
           });
       });
     });
@@ -323,4 +323,47 @@ describe('API', function () {
     });
   });
 
+  describe('GET /api/plugin', function () {
+    it('returns all available plugins', function () {
+      return chai.request(api)
+        .get('/api/plugin')
+
+        .then(function (res) {
+          expect(res)
+            .to.have.status(200)
+            .and.to.be.json;
+
+          expect(res.body).to.be.an('array');
+          res.body.forEach(function (plugin) {
+            expect(plugin).to.include.keys(['name', 'summary', 'type']);
+          });
+        });
+    });
+  });
+
+  describe('POST /api/plugin/reload', function () {
+    beforeEach(function () {
+      sinon.stub(controller, 'reload', function () {
+        return B.fulfilled();
+      });
+    });
+
+    afterEach(function () {
+      controller.reload.restore();
+    });
+
+    it('reloads the plugins', function () {
+      return chai.request(api)
+        .post('/api/plugin/reload')
+
+        .then(function (res) {
+          expect(res)
+            .to.have.status(200)
+            .and.to.be.json;
+
+          expect(controller.reload).to.have.been.called;
+        });
+    });
+  });
+
 });
@@ -6,8 +6,16 @@ var expect = chai.expect;
 //chai.use(require('chai-as-promised'));
 //chai.use(require('sinon-chai'));
 
-//var B = require('bluebird');
+var B = require('bluebird');
 
+var fs   = require('fs');
+var os   = require('os');
+var path = require('path');
+
+var fse = require('fs-extra');
+B.promisifyAll(fse);
+
+var extend  = require('../lib/common').extend;
 var plugins = require('../lib/plugins');
 
 describe('Plugins', function () {
@@ -51,6 +59,113 @@ describe('Plugins', function () {
     });
   });
 
+  describe('.discover', function () {
+    var tmp;
+
+    function pkg(name, manifest, main) {
+      var dir = path.join(tmp, name);
+
+      fs.mkdirSync(dir);
+      fs.writeFileSync(path.join(dir, 'package.json'),
+        JSON.stringify(extend({ name: name, version: '1.0.0' }, manifest)));
+
+      if (main) fs.writeFileSync(path.join(dir, 'index.js'), main);
+    }
+
+    beforeEach(function () {
+      tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'arkivo-'));
+
+      pkg('arkivo-plugin-foo', {},
+        'module.exports = { name: "foo", process: function () {} };');
+      pkg('bar', { arkivo: true, version: '2.1.0' },
+        'module.exports = { name: "bar", process: function () {} };');
+      pkg('unrelated', {});
+    });
+
+    afterEach(function () {
+      plugins.unload();
+      return fse.removeAsync(tmp);
+    });
+
+    it('finds plugin packages by name or arkivo key', function () {
+      var found = plugins.discover([tmp]);
+
+      expect(found.map(function (p) { return p.name; }))
+        .to.have.members(['arkivo-plugin-foo', 'bar']);
+    });
+
+    it('ignores missing directories', function () {
+      expect(plugins.discover([path.join(tmp, 'missing')])).to.be.empty;
+    });
+
+    it('loads plugins with their package version', function () {
+      plugins.discover([tmp]).forEach(function (p) {
+        expect(plugins.load(p.main, p)).to.be.true;
+      });
+
+      expect(plugins.names).to.have.members(['foo', 'bar']);
+      expect(plugins.use('bar').json).to.have.property('version', '2.1.0');
+      expect(plugins.use('foo').json)
+        .to.have.property('package', 'arkivo-plugin-foo');
+    });
+
+    it('reloads plugins from disk after unloading', function () {
+      var p = plugins.discover([tmp])[0];
+
+      plugins.load(p.main, p);
+
+      fs.writeFileSync(path.join(p.dir, 'index.js'),
+        'module.exports = { name: "baz", process: function () {} };');
+
+      plugins.unload();
+      plugins.reset();
+      plugins.load(p.main, p);
+
+      expect(plugins.names).to.eql(['baz']);
+    });
+  });
+
+  describe('.hook', function () {
+    var calls;
+
+    beforeEach(function () {
+      calls = [];
+
+      plugins.add({
+        name: 'foo',
+        process: noop,
+        setup: function (done) { calls.push('foo'); done(); },
+        subscribed: function (s) { calls.push(['foo', s.id, this.options]); }
+      });
+
+      plugins.add({
+        name: 'bar',
+        process: noop,
+        setup: function () { return B.reject(new Error('failed')); }
+      });
+    });
+
+    it('calls the hook of all available plugins', function () {
+      return plugins.hook('setup').then(function (failed) {
+        expect(calls).to.eql(['foo']);
+        expect(failed).to.have.keys(['bar']);
+      });
+    });
+
+    it('calls the hook of the subscription\'s plugins', function () {
+      var s = {
+        id: 'abc',
+        plugins: [{ name: 'foo', options: {} }, { name: 'missing' }]
+      };
+
+      return plugins.hook('subscribed', s).then(function (failed) {
+        expect(calls).to.have.length(1);
+        expect(calls[0].slice(0, 2)).to.eql(['foo', 'abc']);
+        expect(failed).to.be.empty;
+      });
+    });
+  });
+
   describe('Plugin', function () {
     var plugin;
 
@@ -108,6 +223,93 @@ describe('Plugins', function () {
           }).to.throw();
         });
       });
+
+      describe('when the plugin has a validate method', function () {
+        beforeEach(function () {
+          plugin = plugins
+            .add({
+              name: 'noop',
+              process: noop,
+              parameters: { foo: { default: 'bar' } },
+              validate: function (options) {
+                if (options.foo !== 'bar') throw new Error('not bar');
+              }
+            })
+            .use('noop');
+        });
+
+        it('calls it with the options', function () {
+          plugin.configure({ foo: 'bar' });
+          expect(plugin.options).to.have.property('foo', 'bar');
+        });
+
+        it('fails with a schema error if the options are invalid', function () {
+          expect(function () {
+            plugin.configure({ foo: 'baz' });
+          }).to.throw(plugins.Schema.SchemaError, /not bar/);
+        });
+      });
+    });
+
+    describe('#invoke', function () {
+      it('resolves if the method does not exist', function () {
+        plugin = plugins.add({ name: 'noop', process: noop }).use('noop');
+        return plugin.invoke('setup');
+      });
+
+      it('supports callbacks', function () {
+        plugin = plugins.add({
+          name: 'cb',
+          process: noop,
+          setup: function (a, done) { done(null, a + 1); }
+        }).use('cb');
+
+        return plugin.invoke('setup', 1).then(function (result) {
+          expect(result).to.equal(2);
+        });
+      });
+
+      it('supports promises', function () {
+        plugin = plugins.add({
+          name: 'p',
+          process: noop,
+          setup: function () { return B.resolve(42); }
+        }).use('p');
+
+        return plugin.invoke('setup').then(function (result) {
+          expect(result).to.equal(42);
+        });
+      });
+    });
+
+    describe('#cancel', function () {
+      var reason;
+
+      beforeEach(function () {
+        reason = new Error('timeout');
+        plugin = plugins.add({ name: 'noop', process: noop }).use('noop');
+      });
+
+      it('is not cancelled by default', function () {
+        expect(plugin.cancelled).to.be.undefined;
+      });
+
+      it('sets the cancellation reason', function () {
+        plugin.cancel(reason);
+        expect(plugin.cancelled).to.equal(reason);
+      });
+
+      it('emits a cancel event once', function () {
+        var count = 0;
+
+        plugin.on('cancel', function (r) {
+          expect(r).to.equal(reason);
+          count++;
+        });
+
+        plugin.cancel(reason).cancel(reason);
+        expect(count).to.equal(1);
+      });
     });
   });
 });
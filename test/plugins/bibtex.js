@@ -0,0 +1,185 @@
+'use strict';
+
+var chai   = require('chai');
+var expect = chai.expect;
+
+var fs = require('fs');
+
+var plugins = require('../../lib/plugins');
+var bibtex  = require('../../lib/plugins/bibtex');
+
+var fixtures = require('../support/fixtures');
+
+describe('Plugin "bibtex"', function () {
+  var file, sync, citekeys;
+
+  // Citation keys are kept in memory!
+  function session(version) {
+    sync = fixtures.session(version, citekeys);
+  }
+
+  function item(key, data, date) {
+    return fixtures.item(sync, key, data, date);
+  }
+
+  function book(key, title) {
+    return item(key, {
+      itemType: 'book',
+      title: title,
+      date: '2014-03-01',
+      publisher: 'Smith & Sons',
+      creators: [
+        { creatorType: 'author', lastName: 'Müller', firstName: 'Hans' },
+        { creatorType: 'author', lastName: 'Doe', firstName: 'Jane' }
+      ],
+      tags: [{ tag: 'history' }]
+    }, '2014-03-01');
+  }
+
+  function process(format) {
+    return plugins
+      .use('bibtex', { file: file, format: format })
+      .process(sync);
+  }
+
+  function read() {
+    return fs.readFileSync(file, 'utf-8');
+  }
+
+  before(function () { plugins.add(bibtex); });
+  after(function ()  { plugins.reset(); });
+
+  beforeEach(function () {
+    file = fixtures.tmp('bibtex', '.bib');
+    citekeys = {};
+
+    session(0);
+  });
+
+  afterEach(function () {
+    if (fs.existsSync(file)) fs.unlinkSync(file);
+  });
+
+  it('writes BibTeX entries for all regular items', function () {
+    sync.created.push(
+      book('A', 'The History of Things'),
+      item('L', fixtures.attachment({
+        parentItem: 'A', linkMode: 'linked_url', url: 'http://example.com'
+      })),
+      item('N', { itemType: 'note', parentItem: 'A', note: 'foo' }));
+
+    return process().then(function () {
+      expect(read()).to.eql([
+        '@book{muller2014history,',
+        '  author = {Müller, Hans and Doe, Jane},',
+        '  title = {The History of Things},',
+        '  publisher = {Smith \\& Sons},',
+        '  year = {2014},',
+        '  keywords = {history}',
+        '}',
+        ''
+      ].join('\n'));
+
+      expect(citekeys).to.eql({ A: 'muller2014history' });
+    });
+  });
+
+  it('escapes special characters', function () {
+    sync.created.push(item('E', {
+      itemType: 'webpage', title: 'a\\b {c} 50% ~x^',
+      url: 'http://example.com/a_b%20c', DOI: '10.1000/x_y'
+    }));
+
+    return process().then(function () {
+      expect(read()).to.contain(
+        'title = {a\\textbackslash{}b \\{c\\} 50\\% \\~{}x\\^{}}');
+      expect(read()).to.contain('url = {http://example.com/a_b%20c}');
+      expect(read()).to.contain('doi = {10.1000/x_y}');
+    });
+  });
+
+  it('writes BibLaTeX entries', function () {
+    sync.created.push(item('T', {
+      itemType: 'thesis', title: 'On Stuff', date: '2001',
+      university: 'MIT', creators: []
+    }, '2001'));
+
+    return process('biblatex').then(function () {
+      expect(read()).to.match(/^@thesis\{2001stuff,/);
+      expect(read()).to.contain('institution = {MIT}');
+      expect(read()).to.contain('date = {2001}');
+    });
+  });
+
+  it('writes BibLaTeX dates in ISO 8601 format', function () {
+    sync.created.push(
+      item('S', {
+        itemType: 'report', title: 'Some Report', date: 'March 1, 2014'
+      }, '2014-03'),
+      item('U', { itemType: 'report', title: 'Undated', date: 'Spring' }));
+
+    return process('biblatex').then(function () {
+      expect(read()).to.contain('date = {2014-03}');
+      expect(read()).to.not.contain('March');
+      expect(read()).to.not.contain('Spring');
+
+      expect(citekeys).to.eql({ S: '2014some', U: 'undated' });
+    });
+  });
+
+  it('generates unique citation keys', function () {
+    sync.created.push(
+      book('A', 'The History of Things'),
+      book('B', 'The History of Stuff'));
+
+    return process().then(function () {
+      expect(citekeys).to.eql({
+        A: 'muller2014history', B: 'muller2014historya'
+      });
+    });
+  });
+
+  describe('when updating the file', function () {
+    beforeEach(function () {
+      sync.created.push(
+        book('A', 'The History of Things'),
+        book('B', 'Another Book'));
+
+      return process();
+    });
+
+    it('keeps citation keys of updated items', function () {
+      session(1);
+      sync.updated.push(book('A', 'A Changed Title'));
+
+      return process().then(function () {
+        expect(read()).to.match(/^@book\{muller2014history,/);
+        expect(read()).to.contain('title = {A Changed Title}');
+        expect(read()).to.contain('@book{muller2014another,');
+      });
+    });
+
+    it('removes deleted items', function () {
+      session(1);
+      sync.deleted.push('A');
+
+      return process().then(function () {
+        expect(read()).to.not.contain('muller2014history');
+        expect(read()).to.match(/^@book\{muller2014another,/);
+        expect(citekeys).to.not.have.property('A');
+      });
+    });
+
+    it('keeps the file\'s other contents', function () {
+      fs.writeFileSync(file, '% My Bibliography\n\n' + read());
+
+      session(1);
+      sync.updated.push(book('B', 'Another Book'));
+
+      return process().then(function () {
+        expect(read()).to.match(/^% My Bibliography\n\n@book/);
+        expect(read().match(/@book/g)).to.have.length(2);
+      });
+    });
+  });
+});
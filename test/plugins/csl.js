@@ -0,0 +1,160 @@
+'use strict';
+
+var chai   = require('chai');
+var expect = chai.expect;
+
+var join = require('path').join;
+
+var B = require('bluebird');
+var fse = B.promisifyAll(require('fs-extra'));
+
+var plugins = require('../../lib/plugins');
+var csl     = require('../../lib/plugins/csl');
+
+var fixtures = require('../support/fixtures');
+
+describe('Plugin "csl"', function () {
+  var path, sync;
+
+  function session(version) {
+    sync = fixtures.session(version);
+  }
+
+  function item(key, data, date) {
+    return fixtures.item(sync, key, data, date);
+  }
+
+  function book(key, title) {
+    return item(key, {
+      itemType: 'book',
+      title: title,
+      date: '2014-03-01',
+      accessDate: '2015-01-02 10:00:00',
+      publisher: 'Acme',
+      place: 'Berlin',
+      creators: [
+        { creatorType: 'author', lastName: 'Doe', firstName: 'Jane' },
+        { creatorType: 'editor', name: 'The Editors' }
+      ],
+      tags: [{ tag: 'a' }, { tag: 'b' }]
+    });
+  }
+
+  function process(split) {
+    return plugins.use('csl', { path: path, split: split }).process(sync);
+  }
+
+  function read(file) {
+    return JSON.parse(fixtures.read(file || path));
+  }
+
+  before(function () { plugins.add(csl); });
+  after(function ()  { plugins.reset(); });
+
+  beforeEach(function () {
+    path = fixtures.tmp('csl');
+    session(0);
+  });
+
+  afterEach(function () { return fse.removeAsync(path); });
+
+  it('maps Zotero items to CSL-JSON', function () {
+    sync.created.push(
+      book('A', 'Things'),
+      item('L', fixtures.attachment({
+        parentItem: 'A', linkMode: 'linked_url', url: 'http://example.com'
+      })),
+      item('N', { itemType: 'note', parentItem: 'A', note: 'foo' }));
+
+    return process().then(function () {
+      expect(read()).to.eql([{
+        'id': 'A',
+        'type': 'book',
+        'title': 'Things',
+        'publisher': 'Acme',
+        'publisher-place': 'Berlin',
+        'author': [{ family: 'Doe', given: 'Jane' }],
+        'editor': [{ literal: 'The Editors' }],
+        'issued': { 'date-parts': [[2014, 3, 1]] },
+        'accessed': { 'date-parts': [[2015, 1, 2]] },
+        'keyword': 'a, b'
+      }]);
+    });
+  });
+
+  it('keeps non-ISO dates', function () {
+    sync.created.push(item('A', {
+      itemType: 'journalArticle', date: 'Spring 2003', publicationTitle: 'J'
+    }));
+
+    return process().then(function () {
+      expect(read()[0]).to.have.property('type', 'article-journal');
+      expect(read()[0]).to.have.property('container-title', 'J');
+      expect(read()[0].issued)
+        .to.eql({ 'date-parts': [[2003]], 'raw': 'Spring 2003' });
+    });
+  });
+
+  it('takes the parts of non-ISO dates from the parsed date', function () {
+    sync.created.push(item('A', {
+      itemType: 'book', date: 'March 1, 2014'
+    }, '2014-03-01'));
+
+    return process().then(function () {
+      expect(read()[0].issued).to.eql({
+        'date-parts': [[2014, 3, 1]], 'raw': 'March 1, 2014'
+      });
+    });
+  });
+
+  describe('when updating the file', function () {
+    beforeEach(function () {
+      sync.created.push(book('A', 'Things'), book('B', 'Stuff'));
+      return process();
+    });
+
+    it('applies changes incrementally', function () {
+      session(1);
+      sync.created.push(book('C', 'More'));
+      sync.updated.push(book('B', 'Changed'));
+      sync.deleted.push('A');
+
+      return process().then(function () {
+        expect(read().map(function (c) { return c.id; }))
+          .to.eql(['B', 'C']);
+        expect(read()[0].title).to.eql('Changed');
+      });
+    });
+
+    it('regenerates the file after a full sync', function () {
+      session(0);
+      sync.created.push(book('B', 'Stuff'));
+
+      return process().then(function () {
+        expect(read()).to.have.length(1);
+      });
+    });
+  });
+
+  describe('with split files', function () {
+    beforeEach(function () {
+      sync.created.push(book('A', 'Things'), book('B', 'Stuff'));
+      return process(true);
+    });
+
+    it('writes one file per item', function () {
+      expect(read(join(path, 'A.json'))).to.have.property('title', 'Things');
+      expect(read(join(path, 'B.json'))).to.have.property('title', 'Stuff');
+    });
+
+    it('removes the files of deleted items', function () {
+      session(1);
+      sync.deleted.push('A');
+
+      return process(true).then(function () {
+        expect(fixtures.exists(path, 'A.json')).to.be.false;
+        expect(fixtures.exists(path, 'B.json')).to.be.true;
+      });
+    });
+  });
+});
@@ -0,0 +1,140 @@
+'use strict';
+
+var chai   = require('chai');
+var sinon  = require('sinon');
+var expect = chai.expect;
+
+chai.use(require('sinon-chai'));
+
+var join = require('path').join;
+
+var B = require('bluebird');
+var fse = B.promisifyAll(require('fs-extra'));
+
+var plugins = require('../../lib/plugins');
+var feed    = require('../../lib/plugins/feed');
+
+var fixtures = require('../support/fixtures');
+
+describe('Plugin "feed"', function () {
+  var root, sync, state, options;
+
+  function session(version) {
+    sync = fixtures.session(version, null, '/groups/23/items');
+    sinon.stub(sync, 'state').returns(state);
+  }
+
+  function item(key, data) {
+    return fixtures.item(sync, key, data);
+  }
+
+  function book(key, title, added) {
+    return item(key, {
+      itemType: 'book',
+      title: title,
+      abstractNote: 'About <' + title + '>',
+      dateAdded: added,
+      creators: [{ creatorType: 'author', lastName: 'Doe', firstName: 'J.' }]
+    });
+  }
+
+  function process() {
+    return plugins.use('feed', options).process(sync);
+  }
+
+  function read(file) {
+    return fixtures.read(root, file || 'atom.xml');
+  }
+
+  function titles(file) {
+    return read(file).match(/<title>[^<]*<\/title>/g).slice(1);
+  }
+
+  before(function () { plugins.add(feed); });
+  after(function ()  { plugins.reset(); });
+
+  beforeEach(function () {
+    var values = {};
+
+    state = {
+      get: sinon.spy(function (name) { return B.resolve(values[name]); }),
+      set: sinon.spy(function (name, value) {
+        values[name] = JSON.parse(JSON.stringify(value));
+        return B.resolve(state);
+      })
+    };
+
+    root = fixtures.tmp('feed');
+
+    options = {
+      path: join(root, 'atom.xml'),
+      rss: join(root, 'rss.xml'),
+      limit: 2
+    };
+
+    session(0);
+    sync.created.push(
+      book('A', 'First', '2014-01-01T10:00:00Z'),
+      book('B', 'Second', '2014-01-02T10:00:00Z'),
+      item('L', fixtures.attachment({
+        parentItem: 'A', linkMode: 'linked_url', url: 'http://example.com'
+      })),
+      item('N', { itemType: 'note', parentItem: 'A', note: 'foo' }));
+
+    return process();
+  });
+
+  afterEach(function () { return fse.removeAsync(root); });
+
+  it('writes an Atom feed of the newest items', function () {
+    var atom = read();
+
+    expect(atom).to.contain('<feed xmlns="http://www.w3.org/2005/Atom">');
+    expect(atom).to.contain(
+      '<id>https://www.zotero.org/groups/23/items/B</id>');
+    expect(atom).to.contain('<author><name>J. Doe</name></author>');
+    expect(atom).to.contain('<summary>About &lt;Second&gt;</summary>');
+
+    expect(titles()).to.eql([
+      '<title>Second</title>', '<title>First</title>'
+    ]);
+  });
+
+  it('writes an RSS feed if requested', function () {
+    expect(read('rss.xml')).to.contain('<rss version="2.0"');
+    expect(titles('rss.xml')).to.have.length(2);
+  });
+
+  it('keeps the entry history in the plugin state', function () {
+    expect(sync.state).to.have.been.calledOnce;
+    expect(state.set).to.have.been.calledWith('entries');
+
+    session(1);
+    sync.created.push(book('C', 'Third', '2014-01-03T10:00:00Z'));
+
+    return process().then(function () {
+      expect(titles()).to.eql([
+        '<title>Third</title>', '<title>Second</title>'
+      ]);
+    });
+  });
+
+  it('updates and removes existing entries', function () {
+    session(1);
+    sync.updated.push(book('A', 'Changed', '2014-01-01T10:00:00Z'));
+    sync.deleted.push('B');
+
+    return process().then(function () {
+      expect(titles()).to.eql(['<title>Changed</title>']);
+    });
+  });
+
+  it('rebuilds the feed after a full sync', function () {
+    session(0);
+    sync.created.push(book('C', 'Third', '2014-01-03T10:00:00Z'));
+
+    return process().then(function () {
+      expect(titles()).to.eql(['<title>Third</title>']);
+    });
+  });
+});
@@ -0,0 +1,407 @@
+'use strict';
+
+var chai   = require('chai');
+var sinon  = require('sinon');
+var expect = chai.expect;
+
+chai.use(require('sinon-chai'));
+
+var fs   = require('fs');
+var join = require('path').join;
+
+var B = require('bluebird');
+var fse = B.promisifyAll(require('fs-extra'));
+
+var extend = require('../../lib/common').extend;
+
+var plugins = require('../../lib/plugins');
+var store   = require('../../lib/plugins/fs');
+
+var fixtures = require('../support/fixtures');
+
+describe('Plugin "fs"', function () {
+  var root, sync, source, download, mappings;
+
+  function item(key, parent, data) {
+    data = data || {};
+    data.itemType = data.itemType || (parent ? 'note' : 'book');
+    if (parent) data.parentItem = parent;
+
+    return fixtures.item(sync, key, data);
+  }
+
+  function attachment(filename, linkMode) {
+    return fixtures.attachment({ filename: filename, linkMode: linkMode });
+  }
+
+  function process(options) {
+    return plugins
+      .use('fs', extend({ root: root }, options))
+      .process(sync);
+  }
+
+  // Remembered paths are kept in memory!
+  function session(version) {
+    sync = fixtures.session(version, mappings);
+
+    sinon.stub(sync, 'attachment', function () {
+      return B.resolve(download);
+    });
+  }
+
+  function exists() {
+    return fixtures.exists.apply(null, [root].concat([].slice.call(arguments)));
+  }
+
+  before(function () { plugins.add(store); });
+  after(function ()  { plugins.reset(); });
+
+  beforeEach(function () {
+    root = fixtures.tmp('fs');
+    source = fixtures.tmp('fs', '.pdf');
+
+    fs.writeFileSync(source, 'data');
+    download = source;
+    mappings = {};
+
+    session(0);
+  });
+
+  afterEach(function () {
+    return B.all([fse.removeAsync(root), fse.removeAsync(source)]);
+  });
+
+  it('is available', function () {
+    expect(plugins.available.fs).to.be.an('object');
+  });
+
+  describe('#process', function () {
+    beforeEach(function () {
+      sync.created.push(
+        item('A'),
+        item('B', 'A'),
+        item('C', 'A', attachment('c.pdf')));
+
+      return process();
+    });
+
+    it('saves items in their parent\'s directory', function () {
+      expect(exists('A', 'A.json')).to.be.true;
+      expect(exists('A', 'B.json')).to.be.true;
+      expect(exists('A', 'C.json')).to.be.true;
+      expect(exists('A', 'c.pdf')).to.be.true;
+    });
+
+    it('records all written files in the index', function () {
+      var index = JSON.parse(fs.readFileSync(join(root, 'index.json'))).items;
+
+      expect(index.A).to.have.property('dir', 'A');
+      expect(index.A.files).to.eql(['A.json']);
+
+      expect(index.C).to.have.property('dir', 'A');
+      expect(index.C).to.have.property('parent', 'A');
+      expect(index.C.files).to.eql(['C.json', 'c.pdf']);
+    });
+
+    it('removes attachment files and empty directories', function () {
+      session(1);
+      sync.deleted.push('A', 'B', 'C');
+
+      return process().then(function () {
+        expect(exists('A')).to.be.false;
+        expect(exists('index.json')).to.be.true;
+      });
+    });
+
+    it('moves reparented children', function () {
+      session(1);
+      sync.created.push(item('D'));
+      sync.updated.push(
+        item('C', 'D', attachment('c.pdf')));
+
+      // The attachment file has not changed!
+      download = null;
+
+      return process().then(function () {
+        expect(exists('A', 'C.json')).to.be.false;
+        expect(exists('A', 'c.pdf')).to.be.false;
+        expect(exists('D', 'C.json')).to.be.true;
+        expect(exists('D', 'c.pdf')).to.be.true;
+      });
+    });
+
+    it('moves children which become top-level items', function () {
+      session(1);
+      sync.updated.push(item('B'));
+
+      return process().then(function () {
+        expect(exists('A', 'B.json')).to.be.false;
+        expect(exists('B', 'B.json')).to.be.true;
+      });
+    });
+
+    it('removes renamed attachment files', function () {
+      session(1);
+      sync.updated.push(
+        item('C', 'A', attachment('d.pdf')));
+
+      return process().then(function () {
+        expect(exists('A', 'c.pdf')).to.be.false;
+        expect(exists('A', 'd.pdf')).to.be.true;
+      });
+    });
+
+    it('removes orphaned items after a full sync', function () {
+      session(0);
+      sync.created.push(item('A'));
+
+      return process().then(function () {
+        expect(exists('A', 'A.json')).to.be.true;
+        expect(exists('A', 'B.json')).to.be.false;
+        expect(exists('A', 'c.pdf')).to.be.false;
+      });
+    });
+
+    it('removes the journal and all staged files', function () {
+      expect(exists('.journal.json')).to.be.false;
+      expect(exists('.staging')).to.be.false;
+    });
+
+    it('does not change the archive if the session fails', function () {
+      session(1);
+      sync.created.push(item('D'),
+        item('E', 'D', attachment('e.pdf')));
+
+      sync.attachment.restore();
+      sinon.stub(sync, 'attachment', function () {
+        return B.reject(new Error('download failed'));
+      });
+
+      return process()
+        .then(function () { throw new Error('not rejected'); })
+        .catch(function (error) {
+          expect(error.message).to.eql('download failed');
+
+          expect(exists('D', 'D.json')).to.be.false;
+          expect(exists('.staging')).to.be.false;
+          expect(exists('index.json')).to.be.true;
+        });
+    });
+
+    it('limits the number of parallel downloads', function () {
+      var running = 0, max = 0;
+
+      session(1);
+      sync.created.push(item('D'));
+
+      'EFGHIJ'.split('').forEach(function (key) {
+        sync.created.push(item(key, 'D', attachment(key + '.pdf')));
+      });
+
+      sync.attachment.restore();
+      sinon.stub(sync, 'attachment', function () {
+        max = Math.max(max, ++running);
+
+        return B.delay(5).then(function () {
+          --running;
+          return download;
+        });
+      });
+
+      return process().then(function () {
+        expect(sync.attachment).to.have.callCount(6);
+        expect(max).to.be.within(1, 4);
+      });
+    });
+
+    it('saves linked attachments without files', function () {
+      session(1);
+      sync.created.push(
+        item('D'), item('E', 'D', attachment(null, 'linked_url')));
+
+      return process().then(function () {
+        expect(sync.attachment).to.not.have.been.called;
+
+        expect(exists('D', 'E.json')).to.be.true;
+        expect(fs.readdirSync(join(root, 'D'))).to.eql(['D.json', 'E.json']);
+      });
+    });
+
+    it('saves attachments whose files are missing', function () {
+      session(1);
+      sync.created.push(item('D'), item('E', 'D', attachment('e.pdf')));
+      sync.updated.push(item('C', 'A', attachment('c.pdf')));
+
+      sync.attachment.restore();
+      sinon.stub(sync, 'attachment', function () {
+        return B.reject(fixtures.missing());
+      });
+
+      return process().then(function () {
+        expect(exists('D', 'D.json')).to.be.true;
+        expect(exists('D', 'E.json')).to.be.true;
+        expect(exists('D', 'e.pdf')).to.be.false;
+
+        // The file is no longer available!
+        expect(exists('A', 'C.json')).to.be.true;
+        expect(exists('A', 'c.pdf')).to.be.false;
+      });
+    });
+
+    it('does not change the archive if it is cancelled', function () {
+      var plugin = plugins.use('fs', { root: root });
+
+      session(1);
+      sync.created.push(item('D'));
+
+      plugin.cancel(new Error('timed out'));
+
+      return plugin.process(sync)
+        .then(function () { throw new Error('not rejected'); })
+        .catch(function (error) {
+          expect(error.message).to.eql('timed out');
+
+          expect(exists('D', 'D.json')).to.be.false;
+          expect(exists('.staging')).to.be.false;
+        });
+    });
+
+    it('stops committing if it is cancelled', function () {
+      var plugin = plugins.use('fs', { root: root });
+
+      session(1);
+      sync.created.push(item('D'), item('E'));
+
+      sync.subscription.remember.restore();
+      sinon.stub(sync.subscription, 'remember', function () {
+        plugin.cancel(new Error('timed out'));
+        return B.resolve(1);
+      });
+
+      return plugin.process(sync)
+        .then(function () { throw new Error('not rejected'); })
+        .catch(function (error) {
+          expect(error.message).to.eql('timed out');
+          expect(exists('.journal.json')).to.be.true;
+
+          // The next session finishes the commit!
+          session(2);
+          return process();
+        })
+        .then(function () {
+          expect(exists('D', 'D.json')).to.be.true;
+          expect(exists('E', 'E.json')).to.be.true;
+          expect(exists('.journal.json')).to.be.false;
+        });
+    });
+
+    it('finishes interrupted sessions', function () {
+      fs.mkdirSync(join(root, '.staging'));
+      fs.writeFileSync(join(root, '.staging', '1'), '{"key":"F"}');
+
+      fs.writeFileSync(join(root, '.journal.json'), JSON.stringify({
+        changes: [
+          { op: 'unlink', path: 'A/B.json' },
+          { op: 'rename', from: '.staging/1', to: 'F/F.json' }
+        ],
+        index: { items: { F: { dir: 'F', files: ['F.json'] } } }
+      }));
+
+      session(1);
+
+      return process().then(function () {
+        var index = JSON.parse(fs.readFileSync(join(root, 'index.json')));
+
+        expect(exists('A', 'B.json')).to.be.false;
+        expect(exists('F', 'F.json')).to.be.true;
+        expect(exists('.journal.json')).to.be.false;
+
+        expect(index.items).to.have.keys(['F']);
+      });
+    });
+
+    it('rolls back sessions interrupted before the commit', function () {
+      fs.mkdirSync(join(root, '.staging'));
+      fs.writeFileSync(join(root, '.staging', '1'), '{"key":"F"}');
+
+      session(1);
+
+      return process().then(function () {
+        expect(exists('.staging')).to.be.false;
+        expect(exists('A', 'B.json')).to.be.true;
+      });
+    });
+
+    describe('configuration', function () {
+      it('fails if the layout is invalid', function () {
+        expect(function () {
+          plugins.use('fs', { root: root, layout: '{itemType}/{color}' });
+        }).to.throw(plugins.Schema.SchemaError, /unknown template variable/);
+
+        expect(function () {
+          plugins.validate([{
+            name: 'fs', options: { root: root, layout: '../{year}' }
+          }]);
+        }).to.throw(/relative path/);
+      });
+    });
+
+    describe('with a layout', function () {
+      var layout = { layout: '{itemType}/{year}-{shortTitle}' };
+
+      function book(key, title) {
+        return item(key, null, { title: title, date: '2014' });
+      }
+
+      beforeEach(function () {
+        session(0);
+        sync.created.push(book('X', 'Foo'), book('Y', 'Foo'), item('Z', 'X'));
+
+        return process(layout);
+      });
+
+      it('saves top-level items in the layout\'s directories', function () {
+        expect(exists('book', '2014-Foo', 'X.json')).to.be.true;
+        expect(exists('book', '2014-Foo', 'Z.json')).to.be.true;
+      });
+
+      it('handles name collisions', function () {
+        expect(exists('book', '2014-Foo-2', 'Y.json')).to.be.true;
+      });
+
+      it('keeps the directories of unchanged items', function () {
+        session(1);
+        sync.updated.push(book('Y', 'Foo'), book('X', 'Foo'));
+
+        return process(layout).then(function () {
+          expect(exists('book', '2014-Foo', 'X.json')).to.be.true;
+          expect(exists('book', '2014-Foo-2', 'Y.json')).to.be.true;
+        });
+      });
+
+      it('moves renamed items along with their children', function () {
+        session(1);
+        sync.updated.push(book('X', 'Bar'));
+
+        return process(layout).then(function () {
+          expect(exists('book', '2014-Foo')).to.be.false;
+          expect(exists('book', '2014-Bar', 'X.json')).to.be.true;
+          expect(exists('book', '2014-Bar', 'Z.json')).to.be.true;
+
+          expect(JSON.parse(mappings.X))
+            .to.eql({ path: 'book/2014-Bar', dir: 'book/2014-Bar' });
+        });
+      });
+
+      it('removes empty parent directories', function () {
+        session(1);
+        sync.deleted.push('X', 'Y', 'Z');
+
+        return process(layout).then(function () {
+          expect(exists('book')).to.be.false;
+          expect(mappings).to.be.empty;
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,145 @@
+'use strict';
+
+var chai   = require('chai');
+var sinon  = require('sinon');
+var expect = chai.expect;
+
+chai.use(require('sinon-chai'));
+
+var fs   = require('fs');
+var join = require('path').join;
+var exec = require('child_process').execFileSync;
+
+var B = require('bluebird');
+var fse = B.promisifyAll(require('fs-extra'));
+
+var plugins = require('../../lib/plugins');
+var git     = require('../../lib/plugins/git');
+
+var fixtures = require('../support/fixtures');
+
+describe('Plugin "git"', function () {
+  var root, sync, mappings;
+
+  function session(version) {
+    sync = fixtures.session(version, mappings);
+    sync.version = version + 1;
+
+    sinon.stub(sync, 'attachment', function () {
+      return B.reject(fixtures.missing());
+    });
+  }
+
+  function process() {
+    return plugins.use('git', { root: root }).process(sync);
+  }
+
+  function log() {
+    return exec('git', ['log', '--format=%an|%s|%b'], { cwd: root })
+      .toString().trim().split('\n').filter(Boolean);
+  }
+
+  before(function () { plugins.add(git); });
+  after(function ()  { plugins.reset(); });
+
+  beforeEach(function () {
+    root = fixtures.tmp('git');
+    mappings = {};
+
+    session(0);
+
+    sync.items.A = {
+      key: 'A', version: 1, data: { title: 'a', itemType: 'book' }
+    };
+    sync.created.push('A');
+
+    return process();
+  });
+
+  afterEach(function () { return fse.removeAsync(root); });
+
+  it('initializes the repository', function () {
+    expect(fs.existsSync(join(root, '.git'))).to.be.true;
+  });
+
+  it('fails if the layout is invalid', function () {
+    expect(function () {
+      plugins.use('git', { root: root, filename: '{color}' });
+    }).to.throw(plugins.Schema.SchemaError, /unknown template variable/);
+  });
+
+  it('writes pretty-printed JSON with sorted keys', function () {
+    expect(fs.readFileSync(join(root, 'A', 'A.json'), 'utf-8')).to.eql([
+      '{',
+      '  "data": {',
+      '    "itemType": "book",',
+      '    "title": "a"',
+      '  },',
+      '  "key": "A",',
+      '  "version": 1',
+      '}',
+      ''
+    ].join('\n'));
+  });
+
+  it('commits each session', function () {
+    session(1);
+    sync.deleted.push('A');
+
+    return process().then(function () {
+      var commits = log();
+
+      expect(commits).to.have.length(2);
+      expect(commits[0]).to.eql(
+        'Arkivo|Sync /users/42 to version 2|0 created, 0 updated, 1 deleted');
+
+      expect(fs.existsSync(join(root, 'A'))).to.be.false;
+    });
+  });
+
+  it('commits linked attachments without files', function () {
+    session(1);
+    sync.created.push(fixtures.item(sync, 'B', fixtures.attachment({
+      parentItem: 'A', linkMode: 'linked_url', url: 'http://example.com'
+    })));
+
+    return process().then(function () {
+      expect(sync.attachment).to.not.have.been.called;
+
+      expect(log()[0]).to.match(/1 created, 0 updated, 0 deleted$/);
+      expect(fs.readdirSync(join(root, 'A'))).to.eql(['A.json', 'B.json']);
+    });
+  });
+
+  it('does not commit empty sessions', function () {
+    session(1);
+
+    return process().then(function () {
+      expect(log()).to.have.length(1);
+    });
+  });
+
+  it('does not commit the journal or the index', function () {
+    var files = exec('git', ['ls-files'], { cwd: root }).toString();
+
+    expect(files).to.not.match(/journal|staging|index\.json/);
+    expect(files).to.match(/A\/A\.json/);
+
+    expect(fs.existsSync(join(root, 'index.json'))).to.be.true;
+  });
+
+  it('keeps existing excludes', function () {
+    var file = join(root, '.git', 'info', 'exclude');
+
+    fs.writeFileSync(file, '# mine\n*.bak');
+
+    session(1);
+
+    return process().then(function () {
+      var lines = fs.readFileSync(file, 'utf-8').split('\n');
+
+      expect(lines.slice(0, 3)).to.eql(['# mine', '*.bak', '.staging']);
+      expect(lines).to.contain('/index.json');
+    });
+  });
+});
@@ -0,0 +1,236 @@
+'use strict';
+
+var chai   = require('chai');
+var sinon  = require('sinon');
+var expect = chai.expect;
+
+chai.use(require('sinon-chai'));
+
+var fs   = require('fs');
+var join = require('path').join;
+
+var B = require('bluebird');
+var fse = B.promisifyAll(require('fs-extra'));
+
+var plugins = require('../../lib/plugins');
+var html    = require('../../lib/plugins/html');
+
+var fixtures = require('../support/fixtures');
+
+describe('Plugin "html"', function () {
+  var root, source, sync;
+
+  function session(version) {
+    sync = fixtures.session(version);
+
+    sinon.stub(sync, 'attachment', function () {
+      return B.resolve(source);
+    });
+  }
+
+  function item(key, data) {
+    return fixtures.item(sync, key, data);
+  }
+
+  function book(key, title, date, tag) {
+    return item(key, {
+      itemType: 'book',
+      title: title,
+      date: date,
+      creators: [{ creatorType: 'author', lastName: 'Doe', firstName: 'J.' }],
+      tags: [{ tag: tag }],
+      collections: ['COL']
+    });
+  }
+
+  function process() {
+    return plugins.use('html', { root: root, title: 'Pubs' }).process(sync);
+  }
+
+  function read() {
+    return fixtures.read.apply(null, [root].concat([].slice.call(arguments)));
+  }
+
+  // Returns the name of the tag's page, if it exists.
+  function tagpage(name) {
+    var files = exists('tags') ? fs.readdirSync(join(root, 'tags')) : [];
+
+    return files.filter(function (file) {
+      return read('tags', file).indexOf('<h1>Tag: ' + name + '</h1>') !== -1;
+    })[0] || name + '.html';
+  }
+
+  function exists() {
+    return fixtures.exists.apply(null, [root].concat([].slice.call(arguments)));
+  }
+
+  before(function () { plugins.add(html); });
+  after(function ()  { plugins.reset(); });
+
+  beforeEach(function () {
+    root = fixtures.tmp('html');
+    source = fixtures.tmp('html', '.pdf');
+
+    fs.writeFileSync(source, 'data');
+
+    session(0);
+    sync.collections.items.COL = { key: 'COL', data: { name: 'Papers' } };
+
+    sync.created.push(
+      book('A', 'Old <Book>', '1999', 'history'),
+      book('B', 'New Book', '2014-03', 'history'),
+      item('C', fixtures.attachment({
+        parentItem: 'B', title: 'Full Text', filename: 'full text.pdf'
+      })));
+
+    return process();
+  });
+
+  afterEach(function () {
+    return B.all([fse.removeAsync(root), fse.removeAsync(source)]);
+  });
+
+  it('renders an index page sorted by year', function () {
+    var index = read('index.html');
+
+    expect(index).to.contain('<title>Pubs</title>');
+    expect(index.indexOf('2014')).to.be.below(index.indexOf('1999'));
+    expect(index).to.contain('Old &lt;Book&gt;');
+  });
+
+  it('renders item pages with attachments', function () {
+    var page = read('items', 'B.html');
+
+    expect(page).to.contain('<h1>New Book</h1>');
+    expect(page).to.contain('href="../files/C/full-text.pdf"');
+    expect(page).to.match(/href="\.\.\/tags\/history-\w{8}\.html"/);
+    expect(read('files', 'C', 'full-text.pdf')).to.eql('data');
+  });
+
+  it('renders tag and collection pages', function () {
+    expect(read('tags', tagpage('history'))).to.contain('New Book');
+    expect(read('collections', 'COL.html')).to.contain('Collection: Papers');
+  });
+
+  it('renders separate pages for tags with the same slug', function () {
+    session(1);
+    sync.created.push(
+      book('D', 'Plus', '2001', 'C++'),
+      book('E', 'Sharp', '2002', 'C#'));
+
+    return process().then(function () {
+      expect(tagpage('C++')).to.not.eql(tagpage('C#'));
+
+      expect(read('tags', tagpage('C++'))).to.contain('Plus');
+      expect(read('tags', tagpage('C++'))).to.not.contain('Sharp');
+      expect(read('tags', tagpage('C#'))).to.contain('Sharp');
+    });
+  });
+
+  it('links only web URLs', function () {
+    session(1);
+    sync.updated.push(item('A', { itemType: 'book', title: 'A',
+      url: 'javascript:alert(1)' }));
+    sync.created.push(item('D', { itemType: 'book', title: 'D',
+      url: 'https://example.com/?a=1&b=2' }));
+
+    return process().then(function () {
+      expect(read('items', 'A.html')).to.contain('javascript:alert(1)');
+      expect(read('items', 'A.html')).to.not.contain('href="javascript');
+
+      expect(read('items', 'D.html'))
+        .to.contain('<a href="https://example.com/?a=1&amp;b=2">');
+    });
+  });
+
+  it('does not download linked attachments', function () {
+    session(1);
+    sync.created.push(item('D', fixtures.attachment({
+      parentItem: 'A', linkMode: 'linked_url',
+      title: 'Website', url: 'http://example.com'
+    })));
+
+    return process().then(function () {
+      expect(sync.attachment).to.not.have.been.called;
+      expect(exists('files', 'D')).to.be.false;
+      expect(read('items', 'A.html')).to.not.contain('Website');
+    });
+  });
+
+  it('renders the site if attachments cannot be downloaded', function () {
+    session(1);
+    sync.created.push(
+      book('D', 'Newest Book', '2015', 'future'),
+      item('E', fixtures.attachment({
+        parentItem: 'D', title: 'Missing', filename: 'missing.pdf'
+      })));
+
+    sync.attachment.restore();
+    sinon.stub(sync, 'attachment', function () {
+      return B.reject(fixtures.missing());
+    });
+
+    return process().then(function () {
+      expect(read('index.html')).to.contain('Newest Book');
+      expect(read('items', 'D.html')).to.not.contain('Missing');
+      expect(exists('files', 'E')).to.be.false;
+    });
+  });
+
+  it('stops writing pages if it is cancelled', function () {
+    var plugin = plugins.use('html', { root: root, title: 'Pubs' });
+
+    session(1);
+    sync.created.push(book('D', 'Newest Book', '2015', 'future'));
+
+    plugin.cancel(new Error('timed out'));
+
+    return plugin.process(sync)
+      .then(function () { throw new Error('not rejected'); })
+      .catch(function (error) {
+        expect(error.message).to.eql('timed out');
+
+        expect(exists('items', 'D.html')).to.be.false;
+        expect(read('index.html')).to.not.contain('Newest Book');
+      });
+  });
+
+  it('updates only the changed pages', function () {
+    fs.writeFileSync(join(root, 'items', 'A.html'), 'unchanged');
+
+    session(1);
+    sync.updated.push(book('B', 'Changed Book', '2014', 'science'));
+
+    return process().then(function () {
+      expect(read('items', 'A.html')).to.eql('unchanged');
+      expect(read('items', 'B.html')).to.contain('Changed Book');
+      expect(read('index.html')).to.contain('Changed Book');
+
+      expect(read('tags', tagpage('science'))).to.contain('Changed Book');
+      expect(read('tags', tagpage('history'))).to.not.contain('Changed Book');
+
+      expect(exists('files', 'C', 'full-text.pdf')).to.be.true;
+    });
+  });
+
+  it('removes the pages and files of deleted items', function () {
+    session(1);
+    sync.deleted.push('B', 'C');
+
+    return process().then(function () {
+      expect(exists('items', 'B.html')).to.be.false;
+      expect(exists('files', 'C')).to.be.false;
+      expect(read('index.html')).to.not.contain('New Book');
+    });
+  });
+
+  it('removes empty tag pages', function () {
+    session(1);
+    sync.deleted.push('A', 'B', 'C');
+
+    return process().then(function () {
+      expect(exists('tags', tagpage('history'))).to.be.false;
+      expect(exists('collections', 'COL.html')).to.be.false;
+    });
+  });
+});
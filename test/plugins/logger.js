@@ -76,5 +76,15 @@ describe('Plugin "logger"', function () {
         done();
       });
     });
+
+    it('prints filtered items', function (done) {
+      sync.version = 7;
+      sync.filtered.push('bar');
+
+      plugins.use('logger', {}).process(sync, function () {
+        expect(console.log).to.have.been.calledWith('bar');
+        done();
+      });
+    });
   });
 });
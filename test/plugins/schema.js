@@ -0,0 +1,126 @@
+'use strict';
+
+var chai   = require('chai');
+var expect = chai.expect;
+
+var Schema = require('../../lib/plugins/schema');
+var SchemaError = Schema.SchemaError;
+
+describe('Schema', function () {
+  var schema;
+
+  describe('.normalize', function () {
+    it('converts plain parameter maps', function () {
+      expect(Schema.normalize({
+        foo: { mandatory: true, description: 'Foo' },
+        bar: { validate: /^\d+$/, default: '1' }
+      })).to.eql({
+        type: 'object',
+        required: ['foo'],
+        properties: {
+          foo: { description: 'Foo' },
+          bar: { pattern: /^\d+$/, default: '1' }
+        }
+      });
+    });
+  });
+
+  describe('#validate', function () {
+    beforeEach(function () {
+      schema = new Schema({
+        type: 'object',
+        required: ['root'],
+        properties: {
+          root: { type: 'string' },
+          depth: { type: 'integer', minimum: 0, default: 1 },
+          verbose: { type: 'boolean', default: false },
+          format: { type: 'string', enum: ['json', 'xml'] },
+          tags: { type: 'array', items: { type: 'string' } },
+          remote: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              url: { type: 'string', pattern: '^https?://' },
+              port: { type: 'number' }
+            }
+          }
+        }
+      });
+    });
+
+    it('applies default values', function () {
+      expect(schema.validate({ root: '/tmp' })).to.eql({
+        root: '/tmp', depth: 1, verbose: false
+      });
+    });
+
+    it('converts strings to numbers and booleans', function () {
+      expect(schema.validate({ root: '/', depth: '3', verbose: 'true' }))
+        .to.eql({ root: '/', depth: 3, verbose: true });
+    });
+
+    it('fails if required values are missing', function () {
+      expect(function () { schema.validate({}); })
+        .to.throw(SchemaError, /"root" is required/);
+    });
+
+    it('fails for values of the wrong type', function () {
+      expect(function () { schema.validate({ root: '/', depth: 1.5 }); })
+        .to.throw(SchemaError, /"depth" must be of type integer/);
+
+      expect(function () { schema.validate({ root: '/', tags: ['a', 1] }); })
+        .to.throw(SchemaError, /"tags.1" must be of type string/);
+    });
+
+    it('fails for values not in the enum', function () {
+      expect(function () { schema.validate({ root: '/', format: 'csv' }); })
+        .to.throw(SchemaError, /"format" must be one of/);
+    });
+
+    it('fails for values out of range', function () {
+      expect(function () { schema.validate({ root: '/', depth: -1 }); })
+        .to.throw(SchemaError, /at least 0/);
+    });
+
+    it('validates nested objects', function () {
+      expect(schema.validate({
+        root: '/', remote: { url: 'https://example.com', port: '80' }
+      }).remote).to.eql({ url: 'https://example.com', port: 80 });
+
+      expect(function () {
+        schema.validate({ root: '/', remote: { url: 'ftp://x' } });
+      }).to.throw(SchemaError, /"remote.url" has an invalid value/);
+
+      expect(function () {
+        schema.validate({ root: '/', remote: { host: 'x' } });
+      }).to.throw(SchemaError, /"remote.host" is not permitted/);
+    });
+
+    it('reports all errors', function () {
+      try {
+        schema.validate({ depth: 'x', format: 'csv' });
+      } catch (error) {
+        expect(error.errors).to.have.length(3);
+      }
+    });
+  });
+
+  describe('#each', function () {
+    it('walks all properties', function () {
+      var names = [];
+
+      new Schema({
+        type: 'object',
+        required: ['a'],
+        properties: {
+          a: { type: 'string' },
+          b: { type: 'object', properties: { c: { type: 'number' } } }
+        }
+      }).each(function (name, property, depth, required) {
+        names.push([name, depth, required]);
+      });
+
+      expect(names).to.eql([['a', 0, true], ['b', 0, false], ['c', 1, false]]);
+    });
+  });
+});
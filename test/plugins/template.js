@@ -0,0 +1,75 @@
+'use strict';
+
+var chai   = require('chai');
+var expect = chai.expect;
+
+var Template = require('../../lib/plugins/template');
+
+describe('Template', function () {
+  var item = {
+    key: 'ABC',
+    data: {
+      itemType: 'book',
+      title: 'The Über Book of Things',
+      date: 'March 2014',
+      creators: [{ lastName: 'Smith/Jones' }],
+      collections: ['COL']
+    }
+  };
+
+  it('fails for unknown variables', function () {
+    expect(function () { return new Template('{foo}'); })
+      .to.throw('unknown template variable: foo');
+  });
+
+  it('fails for paths outside of the root', function () {
+    expect(function () { return new Template('../{key}'); }).to.throw();
+    expect(function () { return new Template('/{key}'); }).to.throw();
+  });
+
+  describe('#render', function () {
+    it('renders slugged item data', function () {
+      expect(new Template('{year}-{firstAuthor}-{shortTitle}').render(item))
+        .to.eql('2014-Smith-Jones-The-Uber-Book');
+    });
+
+    it('renders nested directories', function () {
+      expect(new Template('{itemType}/{key}').render(item))
+        .to.eql('book/ABC');
+    });
+
+    it('uses collection names if available', function () {
+      var template = new Template('{collection}');
+
+      expect(template.render(item)).to.eql('COL');
+      expect(template.render(item, { collections: { COL: 'Läser' } }))
+        .to.eql('Laser');
+    });
+
+    it('replaces missing values', function () {
+      expect(new Template('{year}').render({ data: {} })).to.eql('unknown');
+    });
+  });
+
+  describe('.slug', function () {
+    it('removes unsafe characters', function () {
+      expect(Template.slug('../a b:c?')).to.eql('a-b-c');
+    });
+
+    it('limits the length', function () {
+      expect(Template.slug('aaaa-bbbb', 5)).to.eql('aaaa');
+    });
+  });
+
+  describe('.unique', function () {
+    it('appends a counter to taken names', function () {
+      var taken = ['a', 'a-2', 'b.pdf'];
+
+      function fn(name) { return taken.indexOf(name) !== -1; }
+
+      expect(Template.unique('c', fn)).to.eql('c');
+      expect(Template.unique('a', fn)).to.eql('a-3');
+      expect(Template.unique('b.pdf', fn, true)).to.eql('b-2.pdf');
+    });
+  });
+});
@@ -0,0 +1,102 @@
+'use strict';
+
+var chai   = require('chai');
+var expect = chai.expect;
+
+var fs   = require('fs');
+var os   = require('os');
+var join = require('path').join;
+
+var B = require('bluebird');
+var fse = B.promisifyAll(require('fs-extra'));
+
+var util = require('../../lib/plugins/util');
+
+describe('Plugin utilities', function () {
+  describe('.write and .read', function () {
+    var dir;
+
+    beforeEach(function () {
+      dir = join(os.tmpdir(), 'arkivo-util-test-' + Date.now());
+    });
+
+    afterEach(function () { return fse.removeAsync(dir); });
+
+    it('writes files atomically and read them back', function () {
+      var file = join(dir, 'a', 'b.txt');
+
+      return util.write(file, 'text')
+        .then(function () {
+          expect(fs.readdirSync(join(dir, 'a'))).to.eql(['b.txt']);
+          return util.read(file);
+        })
+        .then(function (text) {
+          expect(text).to.eql('text');
+          return util.read(join(dir, 'missing'));
+        })
+        .then(function (text) {
+          expect(text).to.eql('');
+        });
+    });
+  });
+
+  describe('.ignore', function () {
+    it('ignores only errors with the given code', function () {
+      var error = new Error('x');
+      error.code = 'EEXIST';
+
+      expect(util.ignore('EEXIST')(error)).to.be.null;
+      expect(function () { util.ignore('ENOENT')(error); }).to.throw(error);
+    });
+  });
+
+  describe('.check', function () {
+    it('throws only if the plugin was cancelled', function () {
+      var reason = new Error('timed out');
+
+      expect(function () { util.check({}); }).to.not.throw();
+      expect(function () { util.check(); }).to.not.throw();
+      expect(function () {
+        util.check({ cancelled: reason });
+      }).to.throw(reason);
+    });
+  });
+
+  describe('.citable', function () {
+    it('is true only for regular items', function () {
+      expect(util.citable({ data: { itemType: 'book' } })).to.be.true;
+      expect(util.citable({ data: { itemType: 'note' } })).to.be.false;
+      expect(util.citable({ data: { parentItem: 'A' } })).to.be.false;
+      expect(util.citable(null)).to.be.false;
+    });
+  });
+
+  describe('.downloadable', function () {
+    function attachment(data) {
+      data.itemType = 'attachment';
+      return { data: data };
+    }
+
+    it('is true only for attachments with stored files', function () {
+      expect(util.downloadable(attachment({ linkMode: 'imported_file' })))
+        .to.be.true;
+      expect(util.downloadable(attachment({ linkMode: 'imported_url' })))
+        .to.be.true;
+      expect(util.downloadable(attachment({ md5: 'abc' }))).to.be.true;
+
+      expect(util.downloadable(attachment({ linkMode: 'linked_url' })))
+        .to.be.false;
+      expect(util.downloadable(attachment({ linkMode: 'linked_file' })))
+        .to.be.false;
+      expect(util.downloadable({ data: { itemType: 'book' } })).to.be.false;
+    });
+  });
+
+  describe('.escape', function () {
+    it('escapes HTML special characters', function () {
+      expect(util.escape('<a href="x">&</a>'))
+        .to.eql('&lt;a href=&quot;x&quot;&gt;&amp;&lt;/a&gt;');
+      expect(util.escape(null)).to.eql('');
+    });
+  });
+});
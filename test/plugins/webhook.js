@@ -0,0 +1,170 @@
+'use strict';
+
+var chai   = require('chai');
+var sinon  = require('sinon');
+var expect = chai.expect;
+
+chai.use(require('sinon-chai'));
+chai.use(require('chai-as-promised'));
+
+var crypto = require('crypto');
+var http   = require('http');
+
+var B = require('bluebird');
+
+var plugins = require('../../lib/plugins');
+var webhook = require('../../lib/plugins/webhook');
+var q       = require('../../lib/q').instance;
+
+var Session = require('../../lib/sync').Session;
+var Subscription = require('../../lib/subscription');
+
+describe('Plugin "webhook"', function () {
+  var server, url, requests, status, sync;
+
+  function process(options) {
+    options = options || {};
+    options.url = url;
+
+    return plugins.use('webhook', options).process(sync);
+  }
+
+  before(function () {
+    plugins.add(webhook);
+
+    // A local stand-in for the receiving service.
+    server = http.createServer(function (req, res) {
+      var body = '';
+
+      req.on('data', function (chunk) { body += chunk; });
+      req.on('end', function () {
+        requests.push({ headers: req.headers, body: body });
+
+        res.statusCode = status;
+        res.end();
+      });
+    });
+
+    return B.fromCallback(function (done) {
+      server.listen(0, '127.0.0.1', done);
+    }).then(function () {
+      url = 'http://127.0.0.1:' + server.address().port + '/hook';
+    });
+  });
+
+  after(function () {
+    plugins.reset();
+    return B.fromCallback(function (done) { server.close(done); });
+  });
+
+  beforeEach(function () {
+    requests = [];
+    status = 200;
+
+    sync = new Session(new Subscription({
+      id: 'abc', url: '/users/42/items', version: 3
+    }));
+
+    sync.version = 5;
+    sync.items.A = { key: 'A', data: { title: 'A' } };
+    sync.items.B = { key: 'B', data: { title: 'B' } };
+
+    sync.created.push('A');
+    sync.updated.push('B');
+    sync.deleted.push('C');
+
+    sinon.stub(webhook, 'enqueue', function (request) {
+      return B.resolve({ id: 1, data: request });
+    });
+  });
+
+  afterEach(function () { webhook.enqueue.restore(); });
+
+  it('posts a summary of the session', function () {
+    return process().then(function () {
+      expect(requests).to.have.length(1);
+      expect(requests[0].headers['content-type'])
+        .to.eql('application/json');
+
+      expect(JSON.parse(requests[0].body)).to.eql({
+        subscription: 'abc',
+        library: '/users/42',
+        version: { previous: 3, current: 5 },
+        created: ['A'],
+        updated: ['B'],
+        deleted: ['C']
+      });
+
+      expect(requests[0].headers).to.not.have.property('x-arkivo-signature');
+    });
+  });
+
+  it('includes the items if requested', function () {
+    return process({ items: true }).then(function () {
+      expect(JSON.parse(requests[0].body).items).to.eql({
+        A: sync.items.A, B: sync.items.B
+      });
+    });
+  });
+
+  it('signs the payload if there is a secret', function () {
+    return process({ secret: 'sesame' }).then(function () {
+      var hmac = crypto.createHmac('sha256', 'sesame')
+        .update(requests[0].body).digest('hex');
+
+      expect(requests[0].headers['x-arkivo-signature'])
+        .to.eql('sha256=' + hmac);
+    });
+  });
+
+  describe('setup', function () {
+    beforeEach(function () { sinon.stub(q, 'handle'); });
+    afterEach(function () { q.handle.restore(); });
+
+    it('registers the handler of queued deliveries', function () {
+      var done = sinon.spy();
+
+      plugins.use('webhook').invoke('setup');
+      plugins.use('webhook').invoke('setup');
+
+      expect(q.handle).to.have.been.calledTwice;
+      expect(q.handle).to.have.been.calledWith('webhook');
+
+      status = 500;
+
+      q.handle.args[1][1]({ id: 1, data: { url: url, body: '{}' } }, {}, done);
+
+      return B.delay(50).then(function () {
+        expect(requests).to.have.length(1);
+        expect(done).to.have.been.calledOnce;
+        expect(done.args[0][0].message).to.match(/status 500/);
+      });
+    });
+  });
+
+  describe('when the delivery fails', function () {
+    beforeEach(function () { status = 503; });
+
+    it('schedules a retry in the message queue', function () {
+      return process({ secret: 'sesame' }).then(function () {
+        expect(requests).to.have.length(1);
+        expect(webhook.enqueue).to.have.been.calledOnce;
+
+        var request = webhook.enqueue.args[0][0];
+
+        expect(request.url).to.eql(url);
+        expect(request.body).to.eql(requests[0].body);
+        expect(request.headers['X-Arkivo-Signature'])
+          .to.eql(requests[0].headers['x-arkivo-signature']);
+      });
+    });
+
+    it('fails if retries are disabled', function () {
+      return expect(process({ attempts: 0 }))
+        .to.be.rejectedWith(/status 503/)
+        .then(function () {
+          expect(webhook.enqueue).not.to.have.been.called;
+        });
+    });
+  });
+});
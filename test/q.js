@@ -18,6 +18,7 @@ describe('Q', function () {
     sinon.stub(kue, 'createQueue', function () {
       return {
         shutdown: sinon.stub().yields(),
+        process: sinon.stub(),
         on: sinon.stub()
       };
     });
@@ -43,6 +44,23 @@ describe('Q', function () {
     });
   });
 
+  describe('.handle', function () {
+    it('creates the workers only once', function () {
+      var mq = new MessageQueue({ q: {} });
+      var a = sinon.spy(), b = sinon.spy();
+
+      mq.handle('foo', a).handle('foo', b);
+
+      expect(mq.jobs.process).to.have.been.calledOnce;
+      expect(mq.jobs.process).to.have.been.calledWith('foo', 1);
+
+      mq.jobs.process.args[0][2]('job', 'ctx', 'done');
+
+      expect(a).to.not.have.been.called;
+      expect(b).to.have.been.calledWith('job', 'ctx', 'done');
+    });
+  });
+
   describe('.shutdown', function () {
     it('calls q.jobs.shutdown', function () {
       expect(q.jobs.shutdown).to.not.have.been.called;
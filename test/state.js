@@ -0,0 +1,107 @@
+'use strict';
+
+var chai   = require('chai');
+var sinon  = require('sinon');
+var expect = chai.expect;
+
+chai.use(require('chai-as-promised'));
+chai.use(require('sinon-chai'));
+
+var B = require('bluebird');
+
+var State = require('../lib/state');
+
+describe('State', function () {
+  var state, db, data;
+
+  beforeEach(function () {
+    state = new State('abc', 'fs');
+    db = state.db;
+
+    data = {
+      'fs:a': '{"value":{"id":1}}',
+      'fs:b': JSON.stringify({ value: 2, expires: Date.now() - 1 }),
+      'git:a': '{"value":3}'
+    };
+
+    sinon.stub(db, 'hget', function (key, field) {
+      return B.resolve(data[field] || null);
+    });
+    sinon.stub(db, 'hgetall', function () { return B.resolve(data); });
+    sinon.stub(db, 'hset', function () { return B.resolve(1); });
+    sinon.stub(db, 'hdel', function () { return B.resolve(1); });
+  });
+
+  afterEach(function () {
+    db.hget.restore();
+    db.hgetall.restore();
+    db.hset.restore();
+    db.hdel.restore();
+  });
+
+  it('uses a namespaced key', function () {
+    expect(state.key).to.eql('state:abc');
+    expect(state.field('a')).to.eql('fs:a');
+  });
+
+  describe('#get', function () {
+    it('returns the parsed value', function () {
+      return expect(state.get('a')).to.eventually.eql({ id: 1 });
+    });
+
+    it('returns undefined for missing values', function () {
+      return expect(state.get('c')).to.eventually.be.undefined;
+    });
+
+    it('removes expired values', function () {
+      return expect(state.get('b')).to.eventually.be.undefined
+        .then(function () {
+          expect(db.hdel).to.have.been.calledWith('state:abc', 'fs:b');
+        });
+    });
+  });
+
+  describe('#set', function () {
+    it('stores the value as JSON', function () {
+      return state.set('a', { id: 2 }).then(function () {
+        expect(db.hset)
+          .to.have.been.calledWith('state:abc', 'fs:a', '{"value":{"id":2}}');
+      });
+    });
+
+    it('stores the expiration date', function () {
+      return state.set('a', 2, 1000).then(function () {
+        var entry = JSON.parse(db.hset.args[0][2]);
+
+        expect(entry.value).to.equal(2);
+        expect(entry.expires).to.be.above(Date.now());
+      });
+    });
+  });
+
+  describe('#delete', function () {
+    it('removes the value', function () {
+      return state.delete('a').then(function () {
+        expect(db.hdel).to.have.been.calledWith('state:abc', 'fs:a');
+      });
+    });
+  });
+
+  describe('#list', function () {
+    it('returns all current values of the plugin', function () {
+      return state.list().then(function (values) {
+        expect(values).to.eql({ a: { id: 1 } });
+        expect(db.hdel).to.have.been.calledWith('state:abc', ['fs:b']);
+      });
+    });
+  });
+
+  describe('#clear', function () {
+    it('removes all values of the plugin', function () {
+      return state.clear().then(function () {
+        expect(db.hdel)
+          .to.have.been.calledWith('state:abc', ['fs:a', 'fs:b']);
+      });
+    });
+  });
+});
@@ -45,6 +45,17 @@ describe('Subscription', function () {
     it('contains empty keys', function () {
       expect((new Subscription()).json).to.not.be.empty;
     });
+
+    it('contains the plugin failures', function () {
+      var s = new Subscription();
+
+      s.cursors.fs = {
+        version: 3, versions: { a: 3 }, error: 'failed', timestamp: 'now'
+      };
+
+      expect(s.json).to.have.property('failures')
+        .and.eql({ fs: { version: 3, error: 'failed', timestamp: 'now' } });
+    });
   });
 
   describe('#touch', function () {
@@ -417,6 +428,39 @@ describe('Subscription', function () {
             expect(t.del.args[0][0]).to.eql('myid');
           });
       });
+
+      it('removes the plugin states', function () {
+        return (new Subscription({ id: 'myid' }))
+          .destroy()
+          .then(function () {
+            expect(t.del.args[0]).to.include('state:myid');
+          });
+      });
+    });
+
+    describe('#state', function () {
+      it('returns the plugin\'s state', function () {
+        var state = (new Subscription({ id: 'myid' })).state('fs');
+
+        expect(state.key).to.eql('state:myid');
+        expect(state.plugin).to.eql('fs');
+      });
+
+      it('accepts plugin instances', function () {
+        expect((new Subscription({ id: 'myid' })).state({ name: 'fs' }))
+          .to.have.property('plugin', 'fs');
+      });
+
+      it('uses the id of plugin instances', function () {
+        expect((new Subscription({ id: 'myid' })).state({
+          name: 'feed', id: 'news'
+        })).to.have.property('plugin', 'news');
+      });
+
+      it('fails for unsaved subscriptions', function () {
+        expect(function () { (new Subscription()).state('fs'); })
+          .to.throw();
+      });
     });
 
     describe('#save', function () {
@@ -429,6 +473,14 @@ describe('Subscription', function () {
           .and.have.property('url', 'users/123');
       });
 
+      it('fails if the filter is invalid', function () {
+        var s = new Subscription({ url: 'users/123' });
+        s.filter = { include: { color: 'red' } };
+
+        return expect(s.save())
+          .to.eventually.be.rejectedWith(/unknown filter criterion/);
+      });
+
       it('saves all keys', function () {
         var s = new Subscription();
 
@@ -451,6 +503,24 @@ describe('Subscription', function () {
           });
       });
 
+      it('removes the checkpoint after a reset', function () {
+        var s = new Subscription({ id: 'myid', url: '/groups/2' });
+        exists = true;
+
+        return s.save()
+          .then(function () {
+            expect(t.del).to.not.have.been.called;
+            return s.reset().save();
+          })
+          .then(function () {
+            expect(t.del).to.have.been.calledOnce;
+            expect(t.del.args[0])
+              .to.eql(['checkpoint:myid', 'checkpoint:myid:items']);
+
+            expect(s.outdated).to.be.false;
+          });
+      });
+
       describe('for new subscriptions', function () {
         it('generates a new id', function () {
           var s = new Subscription({ url: '/groups/42' });
@@ -0,0 +1,86 @@
+'use strict';
+
+// Shared fixtures of the plugin tests.
+
+var sinon = require('sinon');
+
+var fs   = require('fs');
+var os   = require('os');
+var join = require('path').join;
+
+var B = require('bluebird');
+
+var Session = require('../../lib/sync').Session;
+var Subscription = require('../../lib/subscription');
+
+var slice = Array.prototype.slice;
+
+// Returns a new session of a subscription at the passed-in
+// version. If `memory` is given, the values remembered by
+// plugins (e.g., item paths or citation keys) are kept in
+// it instead of Redis, so they persist between sessions.
+exports.session = function (version, memory, url) {
+  var sync = new Session(new Subscription({
+    url: url || '/users/42/items', version: version
+  }));
+
+  if (!memory) return sync;
+
+  sinon.stub(sync.subscription, 'lookup', function (plugin, key) {
+    return B.resolve(memory[key] || null);
+  });
+
+  sinon.stub(sync.subscription, 'remember', function (plugin, key, value) {
+    memory[key] = value;
+    return B.resolve(1);
+  });
+
+  sinon.stub(sync.subscription, 'forget', function (plugin, key) {
+    delete memory[key];
+    return B.resolve(1);
+  });
+
+  return sync;
+};
+
+// Adds an item to the session; `date` is Zotero's
+// parsed version of the item's date.
+exports.item = function (sync, key, data, date) {
+  sync.items[key] = { key: key, data: data, meta: { parsedDate: date } };
+  return key;
+};
+
+// Returns the data of an attachment; by default,
+// the attachment's file is stored by Zotero.
+exports.attachment = function (data) {
+  data.itemType = 'attachment';
+  data.linkMode = data.linkMode || 'imported_file';
+
+  return data;
+};
+
+// Returns a Zotero 404 error.
+exports.missing = function () {
+  var error = new Error('Not found');
+  error.code = 404;
+
+  return error;
+};
+
+// Returns a unique temporary path for the passed-in test.
+exports.tmp = function (name, extension) {
+  return join(os.tmpdir(),
+    'arkivo-' + name + '-test-' + Date.now() + (extension || ''));
+};
+
+// Returns whether or not the path (given as a list
+// of path segments) exists.
+exports.exists = function () {
+  return fs.existsSync(join.apply(null, slice.call(arguments)));
+};
+
+// Reads the file at the path (given as a list
+// of path segments).
+exports.read = function () {
+  return fs.readFileSync(join.apply(null, slice.call(arguments)), 'utf-8');
+};
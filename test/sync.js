@@ -8,15 +8,19 @@ var expect = chai.expect;
 chai.use(require('chai-as-promised'));
 chai.use(require('sinon-chai'));
 
-var B = require('bluebird');
+var fs = require('fs');
+var B  = require('bluebird');
 
 var plugins = require('../lib/plugins');
 
 var Subscription = require('../lib/subscription');
 var Synchronizer = require('../lib/sync');
+var Checkpoint   = require('../lib/checkpoint');
 
 var Session          = Synchronizer.Session;
 var InterruptedError = Synchronizer.InterruptedError;
+var IntegrityError   = Synchronizer.IntegrityError;
+var md5              = require('../lib/common').md5;
 var sync             = Synchronizer.instance;
 
 function delayed() { return B.delay(0); }
@@ -47,11 +51,75 @@ describe('Synchronizer', function () {
       });
 
       sinon.stub(sync, 'dispatch', delayed);
+
+      sinon.stub(Checkpoint.prototype, 'load', function () {
+        return delayed().return(null);
+      });
+
+      sinon.stub(Checkpoint.prototype, 'clear', delayed);
     });
 
     afterEach(function () {
       Session.prototype.execute.restore();
       sync.dispatch.restore();
+
+      Checkpoint.prototype.load.restore();
+      Checkpoint.prototype.clear.restore();
+    });
+
+    it('clears the session cache', function () {
+      var cleanup = sinon.spy(Session.prototype, 'cleanup');
+
+      return sync.synchronize(sub)
+        .finally(function () { cleanup.restore(); })
+        .then(function () {
+          expect(cleanup).to.have.been.called;
+        });
+    });
+
+    it('does not clear the session checkpoint', function () {
+      return sync.synchronize(sub)
+        .then(function (session) {
+          expect(Checkpoint.prototype.clear).to.not.have.been.called;
+          return session.finish();
+        })
+        .then(function () {
+          expect(Checkpoint.prototype.clear).to.have.been.called;
+        });
+    });
+
+    describe('when there is a checkpoint', function () {
+      beforeEach(function () {
+        Checkpoint.prototype.load.restore();
+
+        sinon.stub(Checkpoint.prototype, 'load', function () {
+          return delayed().return({
+            version: 42,
+            versions: { foo: 42 },
+            dispatched: ['one'],
+            items: { foo: { key: 'foo', version: 42 } }
+          });
+        });
+      });
+
+      it('resumes the session', function () {
+        return sync.synchronize(sub)
+          .then(function (session) {
+            expect(session.resumed).to.equal(42);
+            expect(session.dispatched).to.eql(['one']);
+            expect(session.items).to.have.keys(['foo']);
+          });
+      });
+
+      it('ignores outdated checkpoints', function () {
+        sub.version = 42;
+
+        return sync.synchronize(sub)
+          .then(function (session) {
+            expect(session.resumed).to.be.undefined;
+            expect(session.items).to.be.empty;
+          });
+      });
     });
 
     it('returns a promise for Session instance', function () {
@@ -106,6 +174,26 @@ describe('Synchronizer', function () {
           });
       });
 
+      it('updates the attachment checksums', function () {
+        sub.checksums = { A: 'old', B: 'old' };
+
+        Session.prototype.execute.restore();
+        sinon.stub(Session.prototype, 'execute', function () {
+          this.version = version;
+          this.items.A = { key: 'A', data: { md5: 'new' } };
+          this.updated.push('A');
+          this.deleted.push('B');
+
+          return delayed();
+        });
+
+        return sync.synchronize(sub)
+          .then(function () {
+            expect(sub.update.args[0][0])
+              .to.have.property('checksums').and.eql({ A: 'new' });
+          });
+      });
+
       it('dispatches modified data to plugins', function () {
         return sync.synchronize(sub)
           .then(function () {
@@ -189,6 +277,203 @@ describe('Synchronizer', function () {
           });
       });
 
+      it('keeps track of the dispatched plugins', function () {
+        return sync.dispatch(data)
+          .then(function () {
+            expect(data.dispatched).to.eql(['one']);
+          });
+      });
+
+      it('passes the configured id to each plugin instance', function () {
+        data.subscription.plugins = [
+          { name: 'one', id: 'first' }, { name: 'one' }
+        ];
+
+        return sync.dispatch(data)
+          .then(function () {
+            expect(one.firstCall.thisValue.id).to.eql('first');
+            expect(one.secondCall.thisValue.id).to.eql('one');
+          });
+      });
+
+      it('skips plugins which processed the session already', function () {
+        data.dispatched.push('one');
+
+        return sync.dispatch(data)
+          .then(function () {
+            expect(one).to.not.have.been.called;
+          });
+      });
+
+      describe('that are slow', function () {
+        var running, max;
+
+        beforeEach(function () {
+          running = max = 0;
+
+          plugins.add({
+            name: 'slow',
+            process: function () {
+              max = Math.max(max, ++running);
+              return B.delay(5).then(function () { running--; });
+            }
+          });
+
+          data.subscription.plugins = [
+            { name: 'slow', id: 'a' }, { name: 'slow', id: 'b' }
+          ];
+        });
+
+        it('runs them in parallel if concurrency is set', function () {
+          data.subscription.options.concurrency = 2;
+
+          return sync.dispatch(data)
+            .then(function () {
+              expect(max).to.equal(2);
+              expect(data.dispatched).to.have.members(['a', 'b']);
+            });
+        });
+
+        it('runs them one at a time by default', function () {
+          return sync.dispatch(data)
+            .then(function () {
+              expect(max).to.equal(1);
+            });
+        });
+      });
+
+      describe('and transformers', function () {
+        var upcase, sink;
+
+        beforeEach(function () {
+          sink = sinon.spy(function (s) { return B.resolve(s); });
+
+          upcase = sinon.spy(function (s) {
+            s.items.A.data.title = s.items.A.data.title.toUpperCase();
+            return B.resolve();
+          });
+
+          plugins.add({ name: 'upcase', type: 'transformer', process: upcase });
+          plugins.add({ name: 'sink', process: sink });
+
+          data.items.A = { key: 'A', data: { title: 'foo' } };
+          data.created.push('A');
+
+          data.subscription.plugins = [
+            { name: 'sink', id: 'before' },
+            { name: 'upcase' },
+            { name: 'sink', id: 'after' }
+          ];
+        });
+
+        it('passes transformed data down the pipeline', function () {
+          return sync.dispatch(data)
+            .then(function () {
+              expect(sink).to.have.been.calledTwice;
+
+              expect(sink.args[0][0].items.A.data.title).to.eql('foo');
+              expect(sink.args[1][0].items.A.data.title).to.eql('FOO');
+            });
+        });
+
+        it('does not modify the session', function () {
+          return sync.dispatch(data)
+            .then(function () {
+              expect(data.items.A.data.title).to.eql('foo');
+              expect(data.dispatched).to.eql(['before', 'after']);
+            });
+        });
+
+        it('fails all downstream plugins if a transformer fails', function () {
+          plugins.add({
+            name: 'upcase',
+            type: 'transformer',
+            process: function () { return B.reject(new Error('boom')); }
+          });
+
+          return sync.dispatch(data)
+            .then(function () {
+              expect(sink).to.have.been.calledOnce;
+
+              expect(data.failed).to.have.property('upcase');
+              expect(data.failed.after.message).to.match(/upcase failed/);
+
+              expect(data.subscription.cursors).to.have.property('after');
+              expect(data.subscription.cursors).to.not.have.property('upcase');
+            });
+        });
+      });
+
+      describe('that hang', function () {
+        var cancel, stopped;
+
+        beforeEach(function () {
+          cancel = sinon.spy();
+          stopped = false;
+
+          plugins.add({
+            name: 'hung',
+            // Calls done only some time after it was cancelled!
+            process: function (s, done) {
+              this.on('cancel', function (reason) {
+                cancel(reason);
+
+                setTimeout(function () {
+                  stopped = true;
+                  done(reason);
+                }, 20);
+              });
+            }
+          });
+
+          data.subscription.plugins = [{ name: 'hung' }];
+          data.subscription.options.timeout = 10;
+        });
+
+        it('aborts them after the timeout', function () {
+          return sync.dispatch(data)
+            .then(function () {
+              expect(data.failed.hung).to.be.instanceof(B.TimeoutError);
+              expect(data.failed.hung.message).to.match(/timed out/);
+
+              expect(data.subscription.cursors).to.have.property('hung');
+              expect(data.dispatched).to.be.empty;
+            });
+        });
+
+        it('sends them a cancel signal', function () {
+          return sync.dispatch(data)
+            .then(function () {
+              expect(cancel).to.have.been.calledOnce;
+            });
+        });
+
+        it('waits for them to stop', function () {
+          return sync.dispatch(data)
+            .then(function () {
+              expect(stopped).to.be.true;
+            });
+        });
+
+        it('does not abort them if the timeout is 0', function () {
+          var slow = sinon.spy(function () { return B.delay(20); });
+          var timeout = sync.options.timeout;
+
+          plugins.add({ name: 'slow', process: slow });
+
+          data.subscription.plugins = [{ name: 'slow' }];
+          data.subscription.options.timeout = 0;
+          sync.options.timeout = 10;
+
+          return sync.dispatch(data)
+            .finally(function () { sync.options.timeout = timeout; })
+            .then(function () {
+              expect(data.failed).to.be.empty;
+              expect(data.dispatched).to.eql(['slow']);
+            });
+        });
+      });
+
       describe('but not all are available', function () {
         beforeEach(function () { plugins.reset(); });
 
@@ -218,14 +503,77 @@ describe('Synchronizer', function () {
           var four;
 
           beforeEach(function () {
-            four = sinon.stub().returns(B.rejected());
+            four = sinon.spy(function () {
+              return B.reject(new Error('failed'));
+            });
 
             plugins.add({ name: 'four',  process: four });
             data.subscription.plugins.push({ name: 'four' });
           });
 
-          it('fails', function () {
-            return expect(sync.dispatch(data)).to.eventually.be.rejected;
+          it('does not fail', function () {
+            return expect(sync.dispatch(data)).to.eventually.be.fulfilled;
+          });
+
+          it('records the failure', function () {
+            return sync.dispatch(data)
+              .then(function () {
+                expect(data.failed).to.have.keys(['four']);
+                expect(data.failed.four.message).to.eql('failed');
+                expect(data.dispatched).to.eql(['one', 'three']);
+              });
+          });
+
+          it('creates a cursor for the failed plugin', function () {
+            data.subscription.version = 23;
+            data.version = 24;
+
+            return sync.dispatch(data)
+              .then(function () {
+                expect(data.subscription.cursors)
+                  .to.have.keys(['four'])
+                  .and.to.have.deep.property('four.version', 23);
+
+                expect(data.subscription.cursors.four.error).to.eql('failed');
+              });
+          });
+        });
+
+        describe('that have a cursor', function () {
+          var cursor;
+
+          beforeEach(function () {
+            cursor = { version: 1, versions: {} };
+            data.subscription.cursors.three = cursor;
+
+            sinon.stub(data, 'view', function () {
+              return delayed().return(data);
+            });
+          });
+
+          it('passes a view of the session to the plugin', function () {
+            return sync.dispatch(data)
+              .then(function () {
+                expect(data.view).to.have.been.calledOnce;
+                expect(data.view).to.have.been.calledWith(cursor);
+              });
+          });
+
+          it('removes the cursor when the plugin succeeds', function () {
+            return sync.dispatch(data)
+              .then(function () {
+                expect(data.subscription.cursors).to.be.empty;
+              });
+          });
+
+          it('dispatches only those plugins if not modified', function () {
+            data.version = undefined;
+
+            return sync.dispatch(data)
+              .then(function () {
+                expect(one).to.not.have.been.called;
+                expect(three).to.have.been.called;
+              });
           });
         });
       });
@@ -441,6 +789,62 @@ describe('Session', function () {
         });
       });
     });
+
+    describe('in incremental mode', function () {
+      beforeEach(function () {
+        session.subscription.version = 1;
+        session.subscription.versions = { a: 1, b: 1, c: 1 };
+        session.subscription.options.incremental = true;
+
+        sinon.stub(session, 'get', function (path) {
+          var m = new FakeMessage(2);
+
+          m.data = (/deleted$/).test(path) ?
+            { items: ['b', 'x'] } : { a: 2, d: 2 };
+
+          return delayed().then(function () { return m; });
+        });
+      });
+
+      it('is incremental', function () {
+        expect(session.incremental).to.be.true;
+      });
+
+      it('requests versions since the current version', function () {
+        return session.update().then(function () {
+          expect(session.get.args[0][0]).to.eql('/users/23/items');
+          expect(session.get.args[0][1]).to.have.property('format', 'versions');
+          expect(session.get.args[0][1]).to.have.property('since', 1);
+        });
+      });
+
+      it('requests deleted items since the current version', function () {
+        return session.update().then(function () {
+          expect(session.get).to.have.been.calledTwice;
+          expect(session.get.args[1][0]).to.eql('/users/23/deleted');
+          expect(session.get.args[1][1]).to.have.property('since', 1);
+        });
+      });
+
+      it('merges the versions with the current versions', function () {
+        return expect(session.update())
+          .to.eventually.have.property('versions')
+          .and.eql({ a: 2, c: 1, d: 2 });
+      });
+
+      it('detects created, updated, and deleted items', function () {
+        return session.update().then(function () {
+          expect(session.created).to.eql(['d']);
+          expect(session.updated).to.eql(['a']);
+          expect(session.deleted).to.eql(['b']);
+        });
+      });
+
+      it('is not used for the initial synchronization', function () {
+        session.subscription.version = 0;
+        expect(session.incremental).to.be.false;
+      });
+    });
   });
 
   describe('#download', function () {
@@ -526,6 +930,240 @@ describe('Session', function () {
     });
   });
 
+  describe('#view', function () {
+    var view;
+
+    beforeEach(function () {
+      session = new Session(new Subscription({
+        url: '/users/23/items', version: 2
+      }));
+
+      session.version = 3;
+      session.versions = { a: 3, b: 2, c: 1 };
+
+      sinon.stub(session, 'download', function () {
+        return delayed().return(this);
+      });
+
+      return session
+        .view({ version: 1, versions: { a: 1, c: 1, d: 1 } })
+        .then(function (v) { view = v; });
+    });
+
+    it('contains all changes since the cursor version', function () {
+      expect(view.created).to.eql(['b']);
+      expect(view.updated).to.eql(['a']);
+      expect(view.deleted).to.eql(['d']);
+    });
+
+    it('uses the cursor version as subscription version', function () {
+      expect(view.subscription.version).to.equal(1);
+      expect(session.subscription.version).to.equal(2);
+      expect(view.modified).to.be.true;
+    });
+
+    it('shares the downloaded items with the session', function () {
+      expect(view.items).to.equal(session.items);
+      expect(session.download).to.have.been.calledOn(view);
+    });
+  });
+
+  describe('#objects', function () {
+    beforeEach(function () {
+      session = new Session(new Subscription());
+    });
+
+    it('is empty by default', function () {
+      expect(session.objects).to.be.empty;
+    });
+
+    it('includes all object types if the option is set', function () {
+      session.subscription.options.objects = true;
+      expect(session.objects).to.eql(['collections', 'searches', 'tags']);
+    });
+
+    it('can be restricted to some object types', function () {
+      session.subscription.options.objects = ['tags'];
+      expect(session.objects).to.eql(['tags']);
+    });
+  });
+
+  describe('#track', function () {
+    beforeEach(function () {
+      session = new Session(new Subscription({
+        url: '/users/23/items'
+      }));
+
+      session.subscription.objects = {
+        collections: { a: 1, b: 1 },
+        tags: { foo: 1, bar: 2 }
+      };
+
+      sinon.stub(session, 'get', function (path) {
+        var m = new FakeMessage(2);
+
+        m.data = (/tags$/).test(path) ?
+          [
+            { tag: 'foo', meta: { numItems: 1 } },
+            { tag: 'baz', meta: { numItems: 3 } }
+          ] :
+          { a: 2, c: 2 };
+
+        return delayed().then(function () { return m; });
+      });
+    });
+
+    it('requests the versions of the given type', function () {
+      return session.track('collections').then(function () {
+        expect(session.get.args[0][0]).to.eql('/users/23/collections');
+        expect(session.get.args[0][1]).to.have.property('format', 'versions');
+      });
+    });
+
+    it('detects created, updated and deleted objects', function () {
+      return session.track('collections').then(function (collections) {
+        expect(collections).to.equal(session.collections);
+
+        expect(collections.created).to.eql(['c']);
+        expect(collections.updated).to.eql(['a']);
+        expect(collections.deleted).to.eql(['b']);
+      });
+    });
+
+    it('detects created, updated and deleted tags', function () {
+      return session.track('tags').then(function (tags) {
+        expect(tags.created).to.eql(['baz']);
+        expect(tags.updated).to.be.empty;
+        expect(tags.deleted).to.eql(['bar']);
+
+        expect(tags.items).to.have.keys(['foo', 'baz']);
+      });
+    });
+
+    it('detects tags attached to fewer items', function () {
+      session.subscription.objects.tags.foo = 2;
+
+      return session.track('tags').then(function (tags) {
+        expect(tags.updated).to.eql(['foo']);
+      });
+    });
+  });
+
+  describe('#retrieve', function () {
+    beforeEach(function () {
+      session = new Session(new Subscription({
+        url: '/users/23/items'
+      }));
+
+      session.collections.versions = { a: 2, b: 1, c: 2 };
+      session.collections.created = ['c'];
+      session.collections.updated = ['a'];
+
+      sinon.stub(session, 'get', function (_, options) {
+        var m = new FakeMessage(2);
+
+        m.data = options.collectionKey.split(',').map(function (key) {
+          return { key: key, version: 2 };
+        });
+
+        return delayed().then(function () { return m; });
+      });
+    });
+
+    it('downloads all created/updated objects', function () {
+      return session.retrieve('collections').then(function (collections) {
+        expect(session.get.args[0][0]).to.eql('/users/23/collections');
+        expect(collections.items).to.have.keys(['a', 'c']);
+      });
+    });
+
+    it('skips up-to-date objects', function () {
+      session.collections.items.a = { key: 'a', version: 2 };
+
+      return session.retrieve('collections').then(function () {
+        expect(session.get.args[0][1]).to.have.property('collectionKey', 'c');
+      });
+    });
+
+    it('does not download tags', function () {
+      return session.retrieve('tags').then(function () {
+        expect(session.get).to.not.have.been.called;
+      });
+    });
+  });
+
+  describe('#downloadFulltext', function () {
+    var bump;
+
+    beforeEach(function () {
+      bump = 0;
+
+      session = new Session(new Subscription({
+        url: '/users/23/items', version: 1
+      }));
+
+      session.versions = { foo: 3, bar: 2 };
+
+      sinon.stub(session, 'get', function (path) {
+        var m = new FakeMessage(3);
+        var key = path.split('/')[4];
+
+        if ((/^\/users\/23\/items\/\w+\/fulltext$/).test(path)) {
+          m.version = { foo: 3, bar: 2 }[key] + bump;
+          m.data = { content: 'text of ' + key };
+
+        } else {
+          m.data = { foo: 3, bar: 2 };
+        }
+
+        return delayed().then(function () { return m; });
+      });
+    });
+
+    it('requests full-text versions since the current version', function () {
+      return session.downloadFulltext().then(function () {
+        expect(session.get.args[0][0]).to.eql('/users/23/fulltext');
+        expect(session.get.args[0][1]).to.have.property('since', 1);
+      });
+    });
+
+    it('downloads the full-text content of each item', function () {
+      return session.downloadFulltext().then(function () {
+        expect(session.get).to.have.been.calledThrice;
+        expect(session.fulltext).to.eql({
+          foo: 'text of foo', bar: 'text of bar'
+        });
+      });
+    });
+
+    it('skips up-to-date full-text content', function () {
+      session.fulltextVersions.bar = 2;
+
+      return session.downloadFulltext().then(function () {
+        expect(session.get).to.have.been.calledTwice;
+        expect(session.get.args[1][0]).to.eql('/users/23/items/foo/fulltext');
+
+        expect(session.fulltext).to.have.property('foo', 'text of foo');
+      });
+    });
+
+    it('skips items which are not part of the subscription', function () {
+      delete session.versions.bar;
+
+      return session.downloadFulltext().then(function () {
+        expect(session.get).to.have.been.calledTwice;
+        expect(session.fulltext).to.eql({ foo: 'text of foo' });
+      });
+    });
+
+    it('fails with an interrupt if a version changed', function () {
+      bump = 1;
+
+      return expect(session.downloadFulltext())
+        .to.eventually.be.rejectedWith(InterruptedError);
+    });
+  });
+
   describe('#get', function () {
     beforeEach(function () {
       sinon.stub(sync.zotero, 'get');
@@ -551,6 +1189,201 @@ describe('Session', function () {
     });
   });
 
+  describe('#attachment', function () {
+    var item, contents;
+
+    beforeEach(function () {
+      contents = ['data'];
+      item = { key: 'ABC', data: { md5: md5('data'), mtime: 1400000000000 } };
+
+      sinon.stub(sync.zotero, 'download', function (path, o, h, file) {
+        var data = contents.length > 1 ? contents.shift() : contents[0];
+
+        return B.fromNode(function (done) {
+          fs.writeFile(file, data, done);
+        }).return({ headers: {} });
+      });
+
+      session = new Session(new Subscription({ url: '/users/42/items' }));
+    });
+
+    afterEach(function () {
+      sync.zotero.download.restore();
+      return session.cleanup();
+    });
+
+    it('downloads the file into the cache', function () {
+      return session.attachment(item)
+        .then(function (path) {
+          expect(path.indexOf(session.cache.root)).to.equal(0);
+          expect(fs.readFileSync(path, 'utf-8')).to.eql('data');
+
+          expect(sync.zotero.download).to.have.been
+            .calledWith('/users/42/items/ABC/file');
+        });
+    });
+
+    it('downloads each file only once', function () {
+      return B.all([
+        session.attachment(item),
+        session.attachment(item)
+      ]).then(function () {
+        expect(sync.zotero.download).to.have.been.calledOnce;
+      });
+    });
+
+    it('sets the file\'s modification time', function () {
+      return session.attachment(item)
+        .then(function (path) {
+          expect(fs.statSync(path).mtime.getTime()).to.equal(1400000000000);
+        });
+    });
+
+    it('retries corrupted downloads', function () {
+      contents = ['corrupted', 'data'];
+
+      return session.attachment(item)
+        .then(function (path) {
+          expect(fs.readFileSync(path, 'utf-8')).to.eql('data');
+          expect(sync.zotero.download).to.have.been.calledTwice;
+        });
+    });
+
+    it('fails if the file is still corrupted', function () {
+      contents = ['corrupted'];
+
+      return expect(session.attachment(item))
+        .to.eventually.be.rejectedWith(IntegrityError)
+        .then(function () {
+          expect(session.corrupted).to.have.property('ABC');
+        });
+    });
+
+    it('skips files whose checksum has not changed', function () {
+      session.subscription.checksums = { ABC: item.data.md5 };
+
+      return session.attachment(item)
+        .then(function (path) {
+          expect(path).to.be.null;
+          expect(sync.zotero.download).to.not.have.been.called;
+        });
+    });
+
+    it('downloads unchanged files if forced to', function () {
+      session.subscription.checksums = { ABC: item.data.md5 };
+
+      return session.attachment(item, true)
+        .then(function (path) {
+          expect(path).to.be.a('string');
+        });
+    });
+  });
+
+  describe('#state', function () {
+    it('returns the plugin\'s state for the subscription', function () {
+      session = new Session(new Subscription({ id: 'abc' }));
+
+      var state = session.state({ name: 'fs' });
+
+      expect(state.key).to.eql('state:abc');
+      expect(state.plugin).to.eql('fs');
+    });
+  });
+
+  describe('#fork', function () {
+    it('copies the session\'s items and changes', function () {
+      session = new Session(new Subscription());
+      session.items.A = { key: 'A', data: {} };
+      session.created.push('A');
+
+      var fork = session.fork();
+
+      fork.items.A.data.title = 'foo';
+      fork.created.push('B');
+
+      expect(fork.subscription).to.equal(session.subscription);
+      expect(session.items.A.data).to.not.have.property('title');
+      expect(session.created).to.eql(['A']);
+    });
+
+    it('copies the full-text content and library objects', function () {
+      session = new Session(new Subscription());
+      session.fulltext.A = 'foo';
+      session.collections.add({ key: 'C', data: { name: 'foo' } });
+      session.collections.created.push('C');
+      session.tags.versions = { foo: 1 };
+
+      var fork = session.fork();
+
+      fork.fulltext.A = 'bar';
+      fork.collections.items.C.data.name = 'bar';
+      fork.collections.deleted.push('C');
+      fork.searches.created.push('S');
+      fork.tags.versions.foo = 2;
+
+      expect(session.fulltext.A).to.equal('foo');
+      expect(session.collections.items.C.data.name).to.equal('foo');
+      expect(session.collections.deleted).to.be.empty;
+      expect(session.searches.created).to.be.empty;
+      expect(session.tags.versions.foo).to.equal(1);
+    });
+  });
+
+  describe('#filter', function () {
+    beforeEach(function () {
+      session = new Session(new Subscription({ url: '/users/42/items' }));
+
+      session.items = {
+        A: { key: 'A', data: { itemType: 'book' } },
+        B: { key: 'B', data: { itemType: 'note' } },
+        C: { key: 'C', data: { itemType: 'journalArticle' } }
+      };
+
+      session.created = ['A', 'B'];
+      session.updated = ['C'];
+    });
+
+    it('does nothing if the subscription has no filter', function () {
+      session.filter();
+
+      expect(session.created).to.eql(['A', 'B']);
+      expect(session.updated).to.eql(['C']);
+      expect(session.filtered).to.be.empty;
+    });
+
+    it('removes items which do not pass the filter', function () {
+      session.subscription.filter = {
+        exclude: { itemType: ['note', 'journalArticle'] }
+      };
+
+      session.filter();
+
+      expect(session.created).to.eql(['A']);
+      expect(session.updated).to.be.empty;
+      expect(session.filtered).to.have.members(['B', 'C']);
+    });
+
+    it('judges child items by their parent', function () {
+      session.items.D = {
+        key: 'D', data: { itemType: 'attachment', parentItem: 'C' }
+      };
+      session.items.E = {
+        key: 'E', data: { itemType: 'note', parentItem: 'A' }
+      };
+
+      session.created.push('D', 'E');
+      session.subscription.filter = {
+        include: { itemType: 'journalArticle' }
+      };
+
+      session.filter();
+
+      expect(session.created).to.eql(['D']);
+      expect(session.updated).to.eql(['C']);
+      expect(session.filtered).to.have.members(['A', 'B', 'E']);
+    });
+  });
+
   describe('#check', function () {
     beforeEach(function () { session = new Session(); });
 
@@ -585,6 +1418,11 @@ describe('Session', function () {
       expect(session.updated).to.eql(['b']);
     });
 
+    it('ignores items with older versions', function () {
+      session.diff({ a: 1, b: 1 }, { a: 1, b: 2 });
+      expect(session.updated).to.empty;
+    });
+
     it('detects deleted items', function () {
       session.diff({ a: 1, c: 4 }, { a: 1, b: 2 });
       expect(session.deleted).to.eql(['b']);